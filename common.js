@@ -33,3 +33,318 @@ function idbGet(key) {
     req.onerror = () => reject(req.error);
   }));
 }
+
+// --- Scan decoders: 16-bit TIFF and PNG, which the browser can't show or only shows as 8-bit ---
+// Decoded scans are rasters: { width, height, channels, data } with data a Float32Array
+// of interleaved samples in 0..1 (1 = white / full scanner signal)
+
+// File extensions the darkroom can open
+const SCAN_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.tif', '.tiff'];
+
+function isScanFileName(name) {
+  name = name.toLowerCase();
+  return SCAN_EXTENSIONS.some(ext => name.endsWith(ext));
+}
+
+// Sidecar files (.ddr edits, legacy .json) carry the image's whole name, e.g. frame.tif.ddr,
+// so frame.jpg and frame.tif keep separate edits. Older sidecars replaced the extension
+// (frame.ddr); they are still read, after the current name.
+function sidecarNames(imageName, ext) {
+  return [imageName + ext, imageName.substring(0, imageName.lastIndexOf('.')) + ext];
+}
+
+// Decode a file that needs our own decoder; returns null for files the browser decodes itself
+async function decodeScan(file) {
+  // Sniff the header first so JPEGs and 8-bit PNGs are never read into memory here
+  const head = new Uint8Array(await file.slice(0, 32).arrayBuffer());
+
+  if (head[0] === 0x49 && head[1] === 0x49 || head[0] === 0x4D && head[1] === 0x4D) {
+    return decodeTiff(new Uint8Array(await file.arrayBuffer()));
+  }
+
+  // PNG signature; only 16-bit files need decoding here (bit depth is byte 24, in IHDR)
+  if (head[0] === 0x89 && head[1] === 0x50 && head[2] === 0x4E && head[3] === 0x47 && head[24] === 16) {
+    return decodePng16(new Uint8Array(await file.arrayBuffer()));
+  }
+
+  return null;
+}
+
+// zlib stream (PNG IDAT, TIFF deflate) -> bytes
+async function inflateZlib(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function decodePng16(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const channelsByColorType = { 0: 1, 2: 3, 4: 2, 6: 4 };
+  let width = 0, height = 0, channels = 0, interlaced = false;
+  const idat = [];
+
+  // Walk the chunks after the 8-byte signature
+  for (let offset = 8; offset + 8 <= bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const body = bytes.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      width = view.getUint32(offset + 8);
+      height = view.getUint32(offset + 12);
+      channels = channelsByColorType[body[9]];
+      interlaced = body[12] !== 0;
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  if (!channels) throw new Error('Unsupported PNG colour type');
+  if (interlaced) throw new Error('Interlaced 16-bit PNGs are not supported');
+
+  const compressed = new Uint8Array(idat.reduce((n, chunk) => n + chunk.length, 0));
+  idat.reduce((offset, chunk) => (compressed.set(chunk, offset), offset + chunk.length), 0);
+  const raw = await inflateZlib(compressed);
+
+  // Undo the per-scanline filters (bytes per pixel = channels * 2 at 16 bits)
+  const bpp = channels * 2;
+  const stride = width * bpp;
+  const pixels = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = pixels.subarray(y * stride, (y + 1) * stride);
+    const prev = y > 0 ? pixels.subarray((y - 1) * stride, y * stride) : null;
+
+    for (let i = 0; i < stride; i++) {
+      const a = i >= bpp ? out[i - bpp] : 0;
+      const b = prev ? prev[i] : 0;
+      const c = prev && i >= bpp ? prev[i - bpp] : 0;
+      let value = line[i];
+      if (filter === 1) value += a;
+      else if (filter === 2) value += b;
+      else if (filter === 3) value += (a + b) >> 1;
+      else if (filter === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+        value += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+      out[i] = value;
+    }
+  }
+
+  // Big-endian 16-bit samples -> 0..1
+  const data = new Float32Array(width * height * channels);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = ((pixels[i * 2] << 8) | pixels[i * 2 + 1]) / 65535;
+  }
+
+  return { width, height, channels, data };
+}
+
+// TIFF LZW (MSB-first codes, "early change" code widths).
+// Table entries are (prefix code, last byte) pairs, written out back to front.
+function decodeLzw(input, expectedLength) {
+  const out = new Uint8Array(expectedLength);
+  const prefix = new Int32Array(4096);
+  const suffix = new Uint8Array(4096);
+  const first = new Uint8Array(4096);
+  const length = new Uint32Array(4096);
+  for (let i = 0; i < 256; i++) {
+    prefix[i] = -1;
+    suffix[i] = first[i] = i;
+    length[i] = 1;
+  }
+
+  let next = 258; // 256 = clear, 257 = end of information
+  let codeWidth = 9;
+  let prev = -1;
+  let outPos = 0;
+  let bitPos = 0;
+
+  const readCode = () => {
+    let code = 0;
+    for (let i = 0; i < codeWidth; i++) {
+      const byte = input[(bitPos + i) >> 3];
+      code = (code << 1) | ((byte >> (7 - ((bitPos + i) & 7))) & 1);
+    }
+    bitPos += codeWidth;
+    return code;
+  };
+  const emit = (code) => {
+    const len = length[code];
+    for (let i = len - 1, c = code; i >= 0; i--, c = prefix[c]) {
+      if (outPos + i < out.length) out[outPos + i] = suffix[c];
+    }
+    outPos += len;
+  };
+
+  while (bitPos + codeWidth <= input.length * 8 && outPos < out.length) {
+    const code = readCode();
+    if (code === 257) break;
+    if (code === 256) {
+      next = 258;
+      codeWidth = 9;
+      prev = -1;
+      continue;
+    }
+
+    if (prev === -1) {
+      if (code > 255) throw new Error('Corrupt LZW data');
+      emit(code);
+    } else if (code < next) {
+      emit(code);
+      if (next < 4096) {
+        prefix[next] = prev;
+        suffix[next] = first[code];
+        first[next] = first[prev];
+        length[next] = length[prev] + 1;
+        next++;
+      }
+    } else {
+      // Code not in the table yet: it is prev + first byte of prev
+      if (next >= 4096) throw new Error('Corrupt LZW data');
+      prefix[next] = prev;
+      suffix[next] = first[prev];
+      first[next] = first[prev];
+      length[next] = length[prev] + 1;
+      next++;
+      emit(code);
+    }
+    prev = code;
+
+    if (next + 1 >= (1 << codeWidth) && codeWidth < 12) codeWidth++;
+  }
+
+  return out;
+}
+
+// TIFF PackBits run-length decoding
+function decodePackBits(input, expectedLength) {
+  const out = new Uint8Array(expectedLength);
+  let i = 0, o = 0;
+  while (i < input.length && o < out.length) {
+    const n = (input[i++] << 24) >> 24; // signed byte
+    if (n >= 0) {
+      for (let k = 0; k <= n && o < out.length; k++) out[o++] = input[i++];
+    } else if (n !== -128) {
+      const value = input[i++];
+      for (let k = 0; k < 1 - n && o < out.length; k++) out[o++] = value;
+    }
+  }
+  return out;
+}
+
+// Baseline TIFF: strips, 8/16-bit unsigned samples, grey or RGB(A), uncompressed, LZW, deflate or PackBits
+async function decodeTiff(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const le = bytes[0] === 0x49;
+  const u16 = (o) => view.getUint16(o, le);
+  const u32 = (o) => view.getUint32(o, le);
+  if (u16(2) !== 42) throw new Error('Not a TIFF file');
+
+  // Read the first IFD into tag -> array of values
+  const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 7: 1 };
+  const tags = {};
+  const ifd = u32(4);
+  for (let i = 0, count = u16(ifd); i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    const tag = u16(entry), type = u16(entry + 2), n = u32(entry + 4);
+    const size = typeSizes[type];
+    if (!size) continue; // Rationals etc. aren't needed for decoding
+
+    const valueOffset = size * n <= 4 ? entry + 8 : u32(entry + 8);
+    const values = [];
+    for (let k = 0; k < n; k++) {
+      const o = valueOffset + k * size;
+      values.push(size === 1 ? bytes[o] : size === 2 ? u16(o) : u32(o));
+    }
+    tags[tag] = values;
+  }
+
+  const tag = (id, fallback) => (tags[id] ? tags[id][0] : fallback);
+  const width = tag(256), height = tag(257);
+  const channels = tag(277, 1);
+  const bits = tag(258, 8);
+  const compression = tag(259, 1);
+  const photometric = tag(262, 1);
+  const predictor = tag(317, 1);
+
+  if (tags[322]) throw new Error('Tiled TIFFs are not supported');
+  if (tag(284, 1) !== 1) throw new Error('Planar TIFFs are not supported');
+  if (tag(339, 1) !== 1 || (bits !== 8 && bits !== 16)) throw new Error('Only 8- and 16-bit integer TIFFs are supported');
+  if (photometric > 2) throw new Error('Only greyscale and RGB TIFFs are supported');
+
+  const bytesPerSample = bits / 8;
+  const rowBytes = width * channels * bytesPerSample;
+  const rowsPerStrip = tag(278, height);
+  const offsets = tags[273];
+  const counts = tags[279];
+  const pixels = new Uint8Array(rowBytes * height);
+
+  for (let s = 0; s < offsets.length; s++) {
+    const strip = bytes.subarray(offsets[s], offsets[s] + counts[s]);
+    const rows = Math.min(rowsPerStrip, height - s * rowsPerStrip);
+    const expected = rows * rowBytes;
+
+    let decoded;
+    if (compression === 1) decoded = strip;
+    else if (compression === 5) decoded = decodeLzw(strip, expected);
+    else if (compression === 8 || compression === 32946) decoded = await inflateZlib(strip);
+    else if (compression === 32773) decoded = decodePackBits(strip, expected);
+    else throw new Error('Unsupported TIFF compression: ' + compression);
+
+    pixels.set(decoded.subarray(0, expected), s * rowsPerStrip * rowBytes);
+  }
+
+  // Samples -> 0..1, honouring byte order and WhiteIsZero
+  const max = (1 << bits) - 1;
+  const data = new Float32Array(width * height * channels);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = bits === 16
+      ? (le ? pixels[i * 2] | (pixels[i * 2 + 1] << 8) : (pixels[i * 2] << 8) | pixels[i * 2 + 1])
+      : pixels[i];
+  }
+
+  // Horizontal differencing predictor works on whole samples
+  if (predictor === 2) {
+    for (let y = 0; y < height; y++) {
+      const row = y * width * channels;
+      for (let i = channels; i < width * channels; i++) {
+        data[row + i] = (data[row + i] + data[row + i - channels]) & max;
+      }
+    }
+  }
+
+  for (let i = 0; i < data.length; i++) {
+    data[i] = photometric === 0 ? 1 - data[i] / max : data[i] / max;
+  }
+
+  return { width, height, channels, data };
+}
+
+// Luminance (0..1) of raster pixel i
+function rasterLuma(raster, i) {
+  const d = raster.data, c = raster.channels, o = i * c;
+  return c >= 3 ? 0.299 * d[o] + 0.587 * d[o + 1] + 0.114 * d[o + 2] : d[o];
+}
+
+// 8-bit preview of a raster, at most maxSize pixels on its long side
+function rasterToImageData(raster, maxSize = Infinity) {
+  const step = Math.max(1, Math.ceil(Math.max(raster.width, raster.height) / maxSize));
+  const w = Math.ceil(raster.width / step), h = Math.ceil(raster.height / step);
+  const imageData = new ImageData(w, h);
+  const d = raster.data, c = raster.channels;
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const src = (y * step * raster.width + x * step) * c;
+      const o = (y * w + x) * 4;
+      for (let k = 0; k < 3; k++) imageData.data[o + k] = d[src + (c >= 3 ? k : 0)] * 255;
+      imageData.data[o + 3] = 255;
+    }
+  }
+  return imageData;
+}
@@ -11,6 +11,24 @@ let currentFileHandle = null;
 // Check if File System Access API is supported
 const isFileSystemAccessSupported = 'showDirectoryPicker' in window;
 
+// Folder sync: pick up images added, removed or renamed while the contact sheet is open
+const SYNC_INTERVAL_MS = 3000;
+const SIDECAR_EXTENSIONS = ['.ddr', '.json'];
+let folderObserver = null;
+let folderSyncTimer = null;
+let folderSyncPending = null;
+let folderSyncRunning = false;
+// name -> { size, lastModified } of the images on the sheet, used to recognise renames
+const knownFiles = new Map();
+// name -> { size, lastModified, blob } of thumbnails decoded from 16-bit scans, so a sync
+// doesn't decode every scan again at full resolution
+const thumbnailCache = new Map();
+
+// Check if a file name is an image we can print (JPEG, PNG or TIFF scan)
+function isImageFile(name) {
+  return isScanFileName(name);
+}
+
 // Select a folder using File System Access API
 async function selectFolder() {
   try {
@@ -19,8 +37,8 @@ async function selectFolder() {
       return;
     }
 
-    // Show directory picker
-    directoryHandle = await window.showDirectoryPicker();
+    // Show directory picker; write access is needed to save edits and move them with renamed scans
+    directoryHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
 
     // Save the directory handle to localStorage and IndexedDB
     try {
@@ -37,7 +55,7 @@ async function selectFolder() {
       console.error('Error saving folder to localStorage:', storageError);
     }
 
-    // Scan for JPEG files in the folder
+    // Scan for image files in the folder
     await scanFolderForImages();
   } catch (error) {
     console.error('Error selecting folder:', error);
@@ -47,7 +65,7 @@ async function selectFolder() {
   }
 }
 
-// Scan the selected folder for JPEG files
+// Scan the selected folder for image files
 async function scanFolderForImages() {
   if (!directoryHandle) return;
 
@@ -59,46 +77,206 @@ async function scanFolderForImages() {
 
   try {
     fileHandles = [];
+    knownFiles.clear();
+    thumbnailCache.clear();
 
     // Iterate through all files in the directory
     for await (const entry of directoryHandle.values()) {
-      if (entry.kind === 'file') {
-        const name = entry.name.toLowerCase();
-        // Check if the file is a JPEG
-        if (name.endsWith('.jpg') || name.endsWith('.jpeg')) {
-          fileHandles.push(entry);
-        }
+      // Check if the file is an image
+      if (entry.kind === 'file' && isImageFile(entry.name)) {
+        fileHandles.push(entry);
       }
     }
 
-    console.log(`Found ${fileHandles.length} JPEG files in the folder`);
+    console.log(`Found ${fileHandles.length} images in the folder`);
 
     // Sort the file handles by filename for consistent ordering
     fileHandles.sort((a, b) => a.name.localeCompare(b.name));
 
     // Rebuild the contact sheet with the found images
     SHEETS.forEach(buildSheet);
+
+    // Keep the sheet in step with the folder from now on
+    await startFolderSync();
   } catch (error) {
     console.error('Error scanning folder:', error);
     alert('Error scanning folder: ' + error.message);
   }
 }
 
-// Get project data from a JSON file next to the JPEG
-async function getProjectDataForImage(fileHandle) {
+// Watch the folder for changes: FileSystemObserver where the browser has it, polling otherwise
+async function startFolderSync() {
+  stopFolderSync();
+  if (!directoryHandle) return;
+
+  if ('FileSystemObserver' in window) {
+    try {
+      folderObserver = new FileSystemObserver(() => scheduleFolderSync());
+      await folderObserver.observe(directoryHandle);
+      return;
+    } catch (error) {
+      console.warn('FileSystemObserver not usable, falling back to polling:', error);
+      folderObserver = null;
+    }
+  }
+
+  folderSyncTimer = setInterval(() => {
+    if (document.visibilityState === 'visible') syncFolder();
+  }, SYNC_INTERVAL_MS);
+}
+
+// Stop watching the folder
+function stopFolderSync() {
+  if (folderObserver) {
+    folderObserver.disconnect();
+    folderObserver = null;
+  }
+  if (folderSyncTimer) {
+    clearInterval(folderSyncTimer);
+    folderSyncTimer = null;
+  }
+}
+
+// Observer records arrive in bursts (a rename is a delete plus a create); sync once per burst
+function scheduleFolderSync() {
+  if (folderSyncPending) clearTimeout(folderSyncPending);
+  folderSyncPending = setTimeout(() => {
+    folderSyncPending = null;
+    syncFolder();
+  }, 200);
+}
+
+// Compare the folder with the sheet and update the frames in place
+async function syncFolder() {
+  if (!directoryHandle || folderSyncRunning) return;
+  folderSyncRunning = true;
+
   try {
-    const jsonFileName = fileHandle.name.substring(0, fileHandle.name.lastIndexOf('.')) + '.json';
+    // Never prompt from a background sync
+    if ((await directoryHandle.queryPermission({ mode: 'read' })) !== 'granted') return;
+
+    const current = new Map();
+    for await (const entry of directoryHandle.values()) {
+      if (entry.kind === 'file' && isImageFile(entry.name)) {
+        current.set(entry.name, entry);
+      }
+    }
+
+    const shown = new Set(fileHandles.map(handle => handle.name));
+    const removed = fileHandles.filter(handle => !current.has(handle.name));
+    const added = [...current.values()].filter(handle => !shown.has(handle.name));
+    if (removed.length === 0 && added.length === 0) return;
+
+    // A file that disappeared while one with the same size and timestamp appeared was renamed
+    const renamed = [];
+    for (const handle of added) {
+      const file = await handle.getFile();
+      const match = removed.find(old => {
+        const info = knownFiles.get(old.name);
+        return info && info.size === file.size && info.lastModified === file.lastModified;
+      });
+      if (match) {
+        removed.splice(removed.indexOf(match), 1);
+        knownFiles.delete(match.name);
+        knownFiles.set(handle.name, { size: file.size, lastModified: file.lastModified });
+        if (thumbnailCache.has(match.name)) {
+          thumbnailCache.set(handle.name, thumbnailCache.get(match.name));
+          thumbnailCache.delete(match.name);
+        }
+        renamed.push({ from: match, to: handle });
+      }
+    }
+
+    removed.forEach(handle => {
+      knownFiles.delete(handle.name);
+      thumbnailCache.delete(handle.name);
+    });
+
+    // Edits live in sidecar files named after the image; take them along
+    for (const { from, to } of renamed) {
+      await moveSidecars(from.name, to.name);
+    }
+
+    console.log(`Folder changed: ${added.length - renamed.length} added, ${removed.length} removed, ${renamed.length} renamed`);
+
+    fileHandles = [...current.values()].sort((a, b) => a.name.localeCompare(b.name));
+    SHEETS.forEach(sheet => syncSheet(sheet, renamed));
+  } catch (error) {
+    console.error('Error syncing folder:', error);
+  } finally {
+    folderSyncRunning = false;
+  }
+}
+
+// Rename the sidecar files (.ddr edits, legacy .json) of an image that was renamed.
+// Sidecars under the old naming scheme move to the current one.
+async function moveSidecars(oldImageName, newImageName) {
+  for (const ext of SIDECAR_EXTENSIONS) {
+    const [toName] = sidecarNames(newImageName, ext);
+
+    let handle = null;
+    let fromName;
+    for (const name of sidecarNames(oldImageName, ext)) {
+      try {
+        handle = await directoryHandle.getFileHandle(name);
+        fromName = name;
+        break;
+      } catch (error) {
+        // Not under this name
+      }
+    }
+    if (!handle) continue; // No sidecar of this kind
+
+    if ((await directoryHandle.queryPermission({ mode: 'readwrite' })) !== 'granted') {
+      console.warn(`No write access to the folder; edits for ${oldImageName} were not moved to ${newImageName}`);
+      alert(`${oldImageName} was renamed to ${newImageName}, but its edits could not be moved: ` +
+        'there is no write access to the folder. Select the folder again to allow it.');
+      return;
+    }
 
-    // Try to get the JSON file with the same name
     try {
-      const jsonFileHandle = await directoryHandle.getFileHandle(jsonFileName);
-      const file = await jsonFileHandle.getFile();
-      const text = await file.text();
-      return JSON.parse(text);
+      // Don't overwrite edits that already belong to the new name
+      try {
+        await directoryHandle.getFileHandle(toName);
+        console.warn(`Not moving ${fromName}: ${toName} already exists`);
+        continue;
+      } catch (error) {
+        // Target is free
+      }
+
+      if (typeof handle.move === 'function') {
+        await handle.move(toName);
+      } else {
+        const file = await handle.getFile();
+        const target = await directoryHandle.getFileHandle(toName, { create: true });
+        const writable = await target.createWritable();
+        await writable.write(await file.arrayBuffer());
+        await writable.close();
+        await directoryHandle.removeEntry(fromName);
+      }
     } catch (error) {
-      // JSON file doesn't exist or can't be read, which is fine for new images
-      return null;
+      console.error('Error moving sidecar file:', error);
     }
+  }
+}
+
+// Get project data from a JSON file next to the JPEG
+async function getProjectDataForImage(fileHandle) {
+  try {
+    // Try the JSON file named after the image (current name first, then the old one)
+    for (const jsonFileName of sidecarNames(fileHandle.name, '.json')) {
+      try {
+        const jsonFileHandle = await directoryHandle.getFileHandle(jsonFileName);
+        const file = await jsonFileHandle.getFile();
+        const text = await file.text();
+        return JSON.parse(text);
+      } catch (error) {
+        // Not under this name
+      }
+    }
+
+    // JSON file doesn't exist or can't be read, which is fine for new images
+    return null;
   } catch (error) {
     console.error('Error getting project data:', error);
     return null;
@@ -109,15 +287,23 @@ async function getProjectDataForImage(fileHandle) {
 async function ensureDirPermission() {
   if (!directoryHandle) return false;
 
-  // Check if we already have permission
-  const options = { mode: 'read' };
-  if ((await directoryHandle.queryPermission(options)) === 'granted') {
-    return true;
-  }
+  // Ask for write access (edits are saved next to the scans), but reading is enough to show them
+  for (const mode of ['readwrite', 'read']) {
+    const options = { mode };
 
-  // Request permission
-  if ((await directoryHandle.requestPermission(options)) === 'granted') {
-    return true;
+    // Check if we already have permission
+    if ((await directoryHandle.queryPermission(options)) === 'granted') {
+      return true;
+    }
+
+    // Request permission (this needs a user gesture, so it can fail when restoring the folder)
+    try {
+      if ((await directoryHandle.requestPermission(options)) === 'granted') {
+        return true;
+      }
+    } catch (error) {
+      console.warn(`Could not request ${mode} access:`, error);
+    }
   }
 
   return false;
@@ -226,12 +412,53 @@ function buildSheet(sheet) {
   // Update the sheet with images if we have file handles
   updateSheetWithImages(sheet);
 
-  // Add single-frame class if there's only one frame
-  if (totalFrames === 1) {
-    sheet.el.classList.add('single-frame');
-  } else {
-    sheet.el.classList.remove('single-frame');
-  }
+  updateSheetLayout(sheet);
+}
+
+// Add single-frame class if there's only one frame
+function updateSheetLayout(sheet) {
+  sheet.el.classList.toggle('single-frame', sheet.frames.length === 1);
+}
+
+// Bring a sheet's frames in line with fileHandles without rebuilding it:
+// existing frames are kept (and reordered), new images get new frames, gone ones are removed
+function syncSheet(sheet, renamed) {
+  if (!sheet || !sheet.el) return;
+
+  const renames = new Map(renamed.map(({ from, to }) => [from.name, to]));
+  const framesByName = new Map();
+
+  sheet.frames.forEach(frame => {
+    if (!frame.fileHandle) return;
+
+    const newHandle = renames.get(frame.fileHandle.name);
+    if (newHandle) {
+      frame.fileHandle = newHandle;
+      const img = frame.el.querySelector('img');
+      if (img) img.alt = newHandle.name;
+    }
+    framesByName.set(frame.fileHandle.name, frame);
+  });
+
+  const frames = fileHandles.map((handle, i) => {
+    let frame = framesByName.get(handle.name);
+    if (!frame) {
+      frame = createFrame(sheet, i);
+      updateFrameWithImage(frame, handle);
+    }
+    frame.index = i;
+    frame.el.dataset.index = i;
+    return frame;
+  });
+
+  // Drop frames of files that are gone, then (re)append in sorted order; moving a node keeps its image
+  sheet.frames.forEach(frame => {
+    if (!frames.includes(frame)) frame.el.remove();
+  });
+  frames.forEach(frame => sheet.el.appendChild(frame.el));
+  sheet.frames = frames;
+
+  updateSheetLayout(sheet);
 }
 
 // Create a frame element
@@ -254,7 +481,8 @@ function createFrame(sheet, index) {
       await selectFolder();
     } else {
       // If we have a file handle for this frame, open it in the darkroom
-      const frame = sheet.frames[index];
+      // (look the frame up by element: folder sync can move it to another index)
+      const frame = sheet.frames.find(f => f.el === frameEl);
       if (frame && frame.fileHandle) {
         await openImageInDarkroom(frame.fileHandle);
       }
@@ -284,6 +512,24 @@ function updateSheetWithImages(sheet) {
   }
 }
 
+// The file itself if the browser can show it, otherwise a PNG thumbnail decoded from the scan
+async function thumbnailBlob(file) {
+  const cached = thumbnailCache.get(file.name);
+  if (cached && cached.size === file.size && cached.lastModified === file.lastModified) return cached.blob;
+
+  const raster = await decodeScan(file);
+  if (!raster) return file;
+
+  const imageData = rasterToImageData(raster, 600);
+  const canvas = document.createElement('canvas');
+  canvas.width = imageData.width;
+  canvas.height = imageData.height;
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  thumbnailCache.set(file.name, { size: file.size, lastModified: file.lastModified, blob });
+  return blob;
+}
+
 // Update a frame with an image
 async function updateFrameWithImage(frame, fileHandle) {
   if (!frame || !fileHandle) return;
@@ -295,8 +541,8 @@ async function updateFrameWithImage(frame, fileHandle) {
     // Get the file from the file handle
     const file = await fileHandle.getFile();
 
-    // Create a URL for the file
-    const imageUrl = URL.createObjectURL(file);
+    // Create a URL for the file; TIFFs and 16-bit PNGs get a decoded 8-bit thumbnail
+    const imageUrl = URL.createObjectURL(await thumbnailBlob(file));
 
     // Get the frame elements
     const frameEl = frame.el;
@@ -305,6 +551,9 @@ async function updateFrameWithImage(frame, fileHandle) {
     // Clear any existing image
     hitEl.innerHTML = '';
 
+    // Remember size and timestamp so a later rename can be recognised
+    knownFiles.set(fileHandle.name, { size: file.size, lastModified: file.lastModified });
+
     // Create and add the image
     const img = document.createElement('img');
     img.src = imageUrl;
@@ -387,7 +636,7 @@ document.addEventListener('DOMContentLoaded', async function() {
     if (contactSheet) {
       const message = document.createElement('div');
       message.className = 'select-folder-message';
-      message.textContent = 'Please select a folder containing JPEG images';
+      message.textContent = 'Please select a folder containing JPEG, PNG or TIFF images';
       contactSheet.appendChild(message);
     }
   }
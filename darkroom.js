@@ -4,16 +4,29 @@
  */
 
 // GPU Engine implementation
+// Density is built up one exposure per pass: each pass reads the density accumulated so far
+// from one offscreen target and writes it plus its own contribution to the other (ping-pong),
+// so the number of exposures is unlimited. A final pass turns density into print colour.
 class GPUEngine {
   constructor(canvas) {
     this.canvas = canvas;
     this.gl = null;
-    this.prog = null;
-    this.maxExposures = 12; // same as your gradeParams length
-    this.textures = { trans: null, lut: null, masks: [] };
+    this.prog = null;        // final pass: accumulated density -> print colour
+    this.accumProg = null;   // per-exposure pass: adds one exposure's density
+    this.developProg = null; // latent-image mode: summed light per emulsion component -> density
+    this.floatTargets = false; // true when we can render to half-float textures
+    this.negativeProfile = defaultNegativeProfile(); // scan value -> negative density mapping
+    this.accumulation = 'density'; // one of ACCUMULATION_MODES
+    this.illumination = defaultIllumination(); // enlarger falloff, light-source pattern and lens softness
+    this.textures = { trans: null, lut: null, masks: [], bleachMask: null };
+    this.targets = [];       // ping-pong pair of { tex, fbo } holding accumulated density
+    this.maskSources = [];   // maskData last uploaded into each mask slot
+    this.bleachSource = undefined; // maskData last uploaded as the local bleach mask
     this.buffers = {};
     this.size = { w: 0, h: 0 };
     this.loc = {};
+    this.accumLoc = {};
+    this.developLoc = {};
   }
 
   available() {
@@ -23,7 +36,8 @@ class GPUEngine {
         preserveDrawingBuffer: true
       });
       if (!gl) return false;
-      const ok = !!gl.getExtension('EXT_color_buffer_float'); // nice to have
+      // Nice to have: without it density is accumulated in 8-bit targets (coarser, but works)
+      this.floatTargets = !!gl.getExtension('EXT_color_buffer_float');
       this.gl = gl;
       return true;
     } catch {
@@ -31,6 +45,17 @@ class GPUEngine {
     }
   }
 
+  // Scale applied to density stored in the accumulation targets (8-bit targets only hold 0..1)
+  get densityScale() {
+    return this.floatTargets ? 1.0 : 0.25;
+  }
+
+  // Latent-image accumulation sums linear exposure, which needs float targets; without them
+  // the print falls back to adding densities
+  get latentAccumulation() {
+    return this.accumulation === 'latent' && this.floatTargets;
+  }
+
   _compile(type, src) {
     const gl = this.gl;
     const sh = gl.createShader(type);
@@ -69,7 +94,12 @@ class GPUEngine {
       gl_Position = vec4(pos[gl_VertexID],0.,1.);
     }`;
 
-    const fs = `#version 300 es
+    // One exposure: previous density + this exposure's excess density above Dmin.
+    // In latent-image mode it adds the exposure's light to the soft (R) and hard (G) emulsion
+    // components instead, and the develop pass below applies the curves once at the end.
+    // The accumulation targets are read and written at gl_FragCoord, so they keep the
+    // framebuffer's orientation while uTrans/uMask are sampled in image space (vUV).
+    const accumFs = `#version 300 es
     precision highp float;
 
     // Inputs
@@ -77,31 +107,49 @@ class GPUEngine {
     out vec4 outColor;
 
     // Textures
-    uniform sampler2D uTrans;        // R8: transmittance in [0..1] (your inverted grayscale)
+    uniform sampler2D uTrans;        // R32F: transmittance in [0..1] (your inverted grayscale)
     uniform sampler2D uSigmoidLUT;   // 1D LUT baked into 2D (width=N, height=1)
-
-    // Up to MAX exposures worth of mask textures (alpha channel used). Missing masks are 0.
-    #define MAX_EXPOSURES 12
-    uniform sampler2D uMasks[MAX_EXPOSURES];
+    uniform sampler2D uPrev;         // density accumulated by the previous exposures (B: exposures so far)
+    uniform sampler2D uMask;         // this exposure's mask (alpha channel used)
 
     // Paper params
     uniform float uDmin;
     uniform float uDmax;
-    uniform vec3  uHi;  // highlights tone multipliers (r,g,b)
-    uniform vec3  uMid; // midtones
-    uniform vec3  uSh;  // shadows
+    uniform float uThreshold; // inertia: exposure (time × trans units) the paper needs to respond
+    uniform float uIntermittency; // speed lost per earlier exposure on the same area
 
     // LUT params
     uniform float uLUTLo;
     uniform float uLUTStep;
     uniform float uLUTLenMinus1;
 
-    // Exposure constants per exposure (parallel arrays)
-    uniform int   uExposureCount;
-    uniform float uLogT[MAX_EXPOSURES];
-    uniform float uK[MAX_EXPOSURES];
-    uniform float uE0[MAX_EXPOSURES];
-    uniform int   uHasMask[MAX_EXPOSURES]; // 1=has mask, 0=no
+    // Exposure constants
+    uniform float uLogT;
+    uniform float uK;
+    uniform float uE0;
+    uniform int   uHasMask;  // 1=has mask, 0=no
+    uniform int   uMaskMode; // 0=dodge (mask holds back light), 1=burn (light only through mask)
+    uniform int   uFlash;    // 1=flash: no negative in the light path, paper is fogged evenly
+    uniform int   uStripBand;        // test strip: band this exposure reaches (-1 = whole frame)
+    uniform int   uStripCount;       // number of bands
+    uniform int   uStripOrientation; // index into STRIP_ORIENTATIONS
+    uniform int   uLatent;   // 1=latent-image mode: accumulate light per emulsion component
+    uniform vec2  uLayerGain; // share of this exposure's light reaching the soft and hard components
+
+    // Calibrated negative: scan value -> density (base+fog + (1 - value) * range) -> transmittance
+    uniform int   uNegProfile;
+    uniform float uBaseFog;
+    uniform float uDensityRange;
+
+    // Enlarger illumination (see defaultIllumination), the same for every exposure
+    uniform int   uIllumination;    // 1=uneven light and lens softness on
+    uniform float uFalloff;         // light lost in the corners at the chosen aperture (stops)
+    uniform int   uPattern;         // index into LIGHT_PATTERNS
+    uniform float uPatternStrength; // stops
+    uniform float uSoftness;        // blur radius in the corners, as a fraction of the frame diagonal
+    uniform float uAspect;          // frame width / height
+
+    uniform float uDensityScale;
 
     // Helpers
     float log10_(float x){ return log(x) / 2.302585092994046; } // ln10
@@ -113,49 +161,200 @@ class GPUEngine {
       return texture(uSigmoidLUT, vec2(u, 0.5)).r;
     }
 
+    float transAt(vec2 uv){
+      float trans = texture(uTrans, uv).r; // 0..1
+      if (uNegProfile == 1) {
+        trans = pow(10.0, -(uBaseFog + (1.0 - trans) * uDensityRange));
+      }
+      return trans;
+    }
+
+    // Lens softness: the light through the negative spread over a small disc, wider in the corners
+    float softTrans(vec2 uv, float r2){
+      float diagonal = length(vec2(uAspect, 1.0));
+      vec2 scale = uSoftness * (0.4 + 0.6 * r2) * vec2(diagonal / uAspect, diagonal);
+      float sum = transAt(uv);
+      for (int i = 0; i < 12; i++) {
+        float ring = i < 6 ? 0.5 : 1.0;
+        float a = float(i) * 1.0471976 + (i < 6 ? 0.0 : 0.5235988);
+        sum += transAt(uv + vec2(cos(a), sin(a)) * ring * scale);
+      }
+      return sum / 13.0;
+    }
+
+    // Light lost at this point of the easel (stops): radial lens falloff plus the light source's pattern
+    float illuminationLoss(vec2 uv, float r2){
+      float stops = uFalloff * r2;
+      if (uPattern == 1) {        // hot spot: bright centre, fading quickly
+        stops += uPatternStrength * (1.0 - exp(-3.0 * r2));
+      } else if (uPattern == 2) { // tilted: brighter towards one corner
+        stops += uPatternStrength * 0.5 * (uv.x + uv.y);
+      } else if (uPattern == 3) { // mottled: blotchy diffuser
+        float m = 0.5 * sin(6.3 * uv.x + 1.3) * sin(5.1 * uv.y + 0.4)
+                + 0.3 * sin(11.7 * uv.x + 2.1 * uv.y + 0.7)
+                + 0.2 * sin(3.2 * uv.x - 13.9 * uv.y + 2.3);
+        stops += uPatternStrength * clamp(0.5 + 0.5 * m, 0.0, 1.0);
+      }
+      return stops;
+    }
+
     void main(){
-      float trans = texture(uTrans, vUV).r;                 // 0..1
+      vec4 prevTexel = texelFetch(uPrev, ivec2(gl_FragCoord.xy), 0);
+      float prev = prevTexel.r / uDensityScale;
+      // 8-bit targets only hold 0..1, so they keep the count in 32nds
+      float countScale = uDensityScale < 1.0 ? 1.0 / 32.0 : 1.0;
+      float count = prevTexel.b / countScale;
+
+      // Squared distance from the centre: 0 in the middle, 1 in the corners
+      vec2 fromCentre = (vUV - 0.5) * vec2(uAspect, 1.0);
+      float r2 = dot(fromCentre, fromCentre) / (0.25 * (uAspect * uAspect + 1.0));
+
+      float trans = 1.0;
+      if (uFlash == 0) {
+        trans = uIllumination == 1 && uSoftness > 0.0 ? softTrans(vUV, r2) : transAt(vUV);
+      }
       float logTrans = log10_(max(1e-6, trans));
       float span = uDmax - uDmin;
-      float totalDensity = uDmin;
-
-      // If we have at least one exposure, ensure we have a visible image
-      if (uExposureCount > 0) {
-        // Process all exposures
-        for (int e=0; e<uExposureCount; ++e){
-
-          float maskMul = 1.0;
-          if (uHasMask[e] == 1){
-            // WebGL requires constant indices for samplers, so we need to use if/else
-            float a = 0.0;
-            if (e == 0) a = texture(uMasks[0], vUV).a;
-            else if (e == 1) a = texture(uMasks[1], vUV).a;
-            else if (e == 2) a = texture(uMasks[2], vUV).a;
-            else if (e == 3) a = texture(uMasks[3], vUV).a;
-            else if (e == 4) a = texture(uMasks[4], vUV).a;
-            else if (e == 5) a = texture(uMasks[5], vUV).a;
-            else if (e == 6) a = texture(uMasks[6], vUV).a;
-            else if (e == 7) a = texture(uMasks[7], vUV).a;
-            else if (e == 8) a = texture(uMasks[8], vUV).a;
-            else if (e == 9) a = texture(uMasks[9], vUV).a;
-            else if (e == 10) a = texture(uMasks[10], vUV).a;
-            else if (e == 11) a = texture(uMasks[11], vUV).a;
-            maskMul = 1.0 - a;                    // your CPU logic
-          }
 
-          float logE = uLogT[e] + logTrans;
-          if (maskMul < 1.0) logE += log10_(max(1e-6, maskMul));
+      float maskMul = 1.0;
+      if (uHasMask == 1){
+        float a = texture(uMask, vUV).a;
+        maskMul = uMaskMode == 1 ? a : 1.0 - a; // your CPU logic
+      }
+      if (uStripBand >= 0) {
+        float t = uStripOrientation == 1 ? vUV.x : uStripOrientation == 2 ? sqrt(r2) : vUV.y;
+        int band = min(uStripCount - 1, int(floor(t * float(uStripCount))));
+        if (band != uStripBand) maskMul = 0.0;
+      }
 
-          float x = uK[e] * (logE - uE0[e]);
-          float s = fetchSigmoid(x);
+      float logE = uLogT + logTrans;
+      if (maskMul < 1.0) logE += log10_(max(1e-6, maskMul));
+      if (uIllumination == 1) logE -= illuminationLoss(vUV, r2) * 0.30103; // stops -> log10
 
-          float density = uDmin + span * s;
-          float extra = density - uDmin;
-          totalDensity += max(0.0, extra); // Always add, but ensure we don't subtract
-        }
+      // Intermittency: an area exposed in several separate goes gets less from each later one.
+      // The light reaching it counts as one more exposure (a dodged area only partly).
+      logE -= uIntermittency * log10_(1.0 + count);
+      float nextCount = (count + maskMul) * countScale;
+
+      if (uLatent == 1) {
+        outColor = vec4(prevTexel.rg + pow(10.0, logE) * uLayerGain, nextCount, 1.0);
+        return;
       }
 
-      totalDensity = min(totalDensity, uDmax);
+      // Paper inertia: each exposure first has to overcome the threshold (see effectiveExposure)
+      if (uThreshold > 0.0) {
+        float E = pow(10.0, logE);
+        logE = log10_(max(1e-6, E * E / (E + uThreshold)));
+      }
+
+      float x = uK * (logE - uE0);
+      float s = fetchSigmoid(x);
+
+      float density = uDmin + span * s;
+      float extra = density - uDmin;
+      float total = prev + max(0.0, extra); // Always add, but ensure we don't subtract
+
+      outColor = vec4(total * uDensityScale, 0.0, nextCount, 1.0);
+    }`;
+
+    // Latent-image mode: develop the light each emulsion component received into excess density.
+    // Inertia acts on the summed light, and a grain developed by either component is developed,
+    // so the components combine as 1 - (1 - soft)(1 - hard).
+    const developFs = `#version 300 es
+    precision highp float;
+
+    out vec4 outColor;
+
+    uniform sampler2D uLatent;     // R: light on the soft component, G: on the hard one
+    uniform sampler2D uSigmoidLUT;
+
+    uniform float uLUTLo;
+    uniform float uLUTStep;
+    uniform float uLUTLenMinus1;
+
+    uniform float uDmin;
+    uniform float uDmax;
+    uniform float uThreshold;
+    uniform float uKSoft;
+    uniform float uE0Soft;
+    uniform float uKHard;
+    uniform float uE0Hard;
+
+    uniform float uDensityScale;
+
+    float log10_(float x){ return log(x) / 2.302585092994046; }
+    float fetchSigmoid(float x){
+      float idx = clamp((x - uLUTLo) / uLUTStep, 0.0, uLUTLenMinus1);
+      return texture(uSigmoidLUT, vec2((idx + 0.5) / (uLUTLenMinus1 + 1.0), 0.5)).r;
+    }
+    float component(float E, float k, float E0){
+      if (uThreshold > 0.0) E = E * E / (E + uThreshold);
+      return fetchSigmoid(k * (log10_(max(1e-6, E)) - E0));
+    }
+
+    void main(){
+      vec2 E = texelFetch(uLatent, ivec2(gl_FragCoord.xy), 0).rg;
+      float s = 1.0 - (1.0 - component(E.r, uKSoft, uE0Soft)) * (1.0 - component(E.g, uKHard, uE0Hard));
+      outColor = vec4((uDmax - uDmin) * s * uDensityScale, 0.0, 0.0, 1.0);
+    }`;
+
+    const fs = `#version 300 es
+    precision highp float;
+
+    in vec2 vUV;
+    out vec4 outColor;
+
+    uniform sampler2D uAccum;  // excess density above Dmin summed over all exposures
+    uniform sampler2D uBleachMask; // where a local bleach acts (alpha channel used)
+
+    // Paper params
+    uniform float uDmin;
+    uniform float uDmax;
+    uniform vec3  uHi;  // highlights tone multipliers (r,g,b)
+    uniform vec3  uMid; // midtones
+    uniform vec3  uSh;  // shadows
+
+    uniform float uDensityScale;
+
+    // Toning / bleaching, how far each bath has gone (0..1)
+    uniform float uBleach;
+    uniform int   uBleachLocal; // 1=only through uBleachMask
+    uniform float uSepia;
+    uniform float uSelenium;
+    uniform float uGold;
+
+    void main(){
+      float extra = texelFetch(uAccum, ivec2(gl_FragCoord.xy), 0).r / uDensityScale;
+      float totalDensity = min(uDmin + extra, uDmax);
+      float span = uDmax - uDmin;
+
+      // Ferricyanide (a subtractive reducer) removes about the same amount of silver
+      // everywhere, so highlights clear first while shadows barely change
+      float bleach = uBleach;
+      if (uBleachLocal == 1) bleach *= texture(uBleachMask, vUV).a;
+      totalDensity = max(uDmin, totalDensity - 0.6 * bleach);
+
+      float rel = (totalDensity - uDmin) / max(1e-3, span); // 0 = paper white, 1 = Dmax
+      float silver = smoothstep(0.0, 0.15, rel);            // no tint where there is no image
+
+      // Sepia: the bleach bath works from the highlights down; redeveloped silver turns
+      // brown and loses a little density
+      float sepiaPart = uSepia > 0.0 ? 1.0 - smoothstep(uSepia - 0.15, uSepia + 0.15, rel) : 0.0;
+      totalDensity -= 0.1 * sepiaPart * (totalDensity - uDmin);
+
+      // Selenium: converts the densest silver first, deepening blacks towards purple-brown
+      float selPart = uSelenium > 0.0 ? smoothstep(1.0 - uSelenium - 0.15, 1.0 - uSelenium + 0.15, rel) : 0.0;
+      totalDensity += 0.15 * selPart * rel;
+
+      // Gold: acts evenly on all silver, blue-black on plain silver and red-orange over sepia
+      totalDensity += 0.05 * uGold * rel;
+      totalDensity = min(totalDensity, uDmax + 0.2);
+
+      vec3 tint = vec3(1.0);
+      tint = mix(tint, vec3(1.0, 0.86, 0.68), sepiaPart * silver);
+      tint = mix(tint, vec3(0.97, 0.88, 0.95), selPart * silver);
+      vec3 goldTint = mix(vec3(0.9, 0.95, 1.05), vec3(1.05, 0.8, 0.65), sepiaPart);
+      tint = mix(tint, goldTint, uGold * silver);
 
       // reflectance = 10^(-D)
       float reflectance = exp(-totalDensity * 2.302585092994046);
@@ -169,40 +368,102 @@ class GPUEngine {
         col = (uMid * (1.0 - t) + uHi * t) * reflectance;
       }
 
-      outColor = vec4(col, 1.0);
+      outColor = vec4(clamp(col * tint, 0.0, 1.0), 1.0);
     }`;
 
-    this.prog = this._link(vs, fs);
     const gl = this.gl;
-    gl.useProgram(this.prog);
+    this.accumProg = this._link(vs, accumFs);
+    this.developProg = this._link(vs, developFs);
+    this.prog = this._link(vs, fs);
 
     // Cache uniform locations
+    const A = (n) => gl.getUniformLocation(this.accumProg, n);
+    this.accumLoc = {
+      uTrans: A('uTrans'),
+      uSigmoidLUT: A('uSigmoidLUT'),
+      uPrev: A('uPrev'),
+      uMask: A('uMask'),
+      uDmin: A('uDmin'),
+      uDmax: A('uDmax'),
+      uThreshold: A('uThreshold'),
+      uIntermittency: A('uIntermittency'),
+      uLUTLo: A('uLUTLo'),
+      uLUTStep: A('uLUTStep'),
+      uLUTLenMinus1: A('uLUTLenMinus1'),
+      uLogT: A('uLogT'),
+      uK: A('uK'),
+      uE0: A('uE0'),
+      uHasMask: A('uHasMask'),
+      uMaskMode: A('uMaskMode'),
+      uFlash: A('uFlash'),
+      uStripBand: A('uStripBand'),
+      uStripCount: A('uStripCount'),
+      uStripOrientation: A('uStripOrientation'),
+      uLatent: A('uLatent'),
+      uLayerGain: A('uLayerGain'),
+      uNegProfile: A('uNegProfile'),
+      uBaseFog: A('uBaseFog'),
+      uDensityRange: A('uDensityRange'),
+      uIllumination: A('uIllumination'),
+      uFalloff: A('uFalloff'),
+      uPattern: A('uPattern'),
+      uPatternStrength: A('uPatternStrength'),
+      uSoftness: A('uSoftness'),
+      uAspect: A('uAspect'),
+      uDensityScale: A('uDensityScale')
+    };
+
+    const D = (n) => gl.getUniformLocation(this.developProg, n);
+    this.developLoc = {
+      uLatent: D('uLatent'),
+      uSigmoidLUT: D('uSigmoidLUT'),
+      uLUTLo: D('uLUTLo'),
+      uLUTStep: D('uLUTStep'),
+      uLUTLenMinus1: D('uLUTLenMinus1'),
+      uDmin: D('uDmin'),
+      uDmax: D('uDmax'),
+      uThreshold: D('uThreshold'),
+      uKSoft: D('uKSoft'),
+      uE0Soft: D('uE0Soft'),
+      uKHard: D('uKHard'),
+      uE0Hard: D('uE0Hard'),
+      uDensityScale: D('uDensityScale')
+    };
+
     const U = (n) => gl.getUniformLocation(this.prog, n);
     this.loc = {
-      uTrans: U('uTrans'),
-      uSigmoidLUT: U('uSigmoidLUT'),
+      uAccum: U('uAccum'),
       uDmin: U('uDmin'),
       uDmax: U('uDmax'),
       uHi: U('uHi'),
       uMid: U('uMid'),
       uSh: U('uSh'),
-      uLUTLo: U('uLUTLo'),
-      uLUTStep: U('uLUTStep'),
-      uLUTLenMinus1: U('uLUTLenMinus1'),
-      uExposureCount: U('uExposureCount'),
-      uLogT: U('uLogT'),
-      uK: U('uK'),
-      uE0: U('uE0'),
-      uHasMask: U('uHasMask')
+      uDensityScale: U('uDensityScale'),
+      uBleachMask: U('uBleachMask'),
+      uBleach: U('uBleach'),
+      uBleachLocal: U('uBleachLocal'),
+      uSepia: U('uSepia'),
+      uSelenium: U('uSelenium'),
+      uGold: U('uGold')
     };
 
     // Pre-bind sampler units
-    gl.uniform1i(this.loc.uTrans, 0);
-    gl.uniform1i(this.loc.uSigmoidLUT, 1);
-    for (let i = 0; i < this.maxExposures; i++) {
-      const loc = gl.getUniformLocation(this.prog, `uMasks[${i}]`);
-      if (loc) gl.uniform1i(loc, 2 + i);
-    }
+    gl.useProgram(this.accumProg);
+    gl.uniform1i(this.accumLoc.uTrans, 0);
+    gl.uniform1i(this.accumLoc.uSigmoidLUT, 1);
+    gl.uniform1i(this.accumLoc.uPrev, 2);
+    gl.uniform1i(this.accumLoc.uMask, 3);
+    gl.uniform1f(this.accumLoc.uDensityScale, this.densityScale);
+
+    gl.useProgram(this.developProg);
+    gl.uniform1i(this.developLoc.uLatent, 2);
+    gl.uniform1i(this.developLoc.uSigmoidLUT, 1);
+    gl.uniform1f(this.developLoc.uDensityScale, this.densityScale);
+
+    gl.useProgram(this.prog);
+    gl.uniform1i(this.loc.uAccum, 2);
+    gl.uniform1i(this.loc.uBleachMask, 4);
+    gl.uniform1f(this.loc.uDensityScale, this.densityScale);
 
     // Fullscreen triangle via gl_VertexID (no VAO needed)
   }
@@ -225,34 +486,76 @@ class GPUEngine {
     return tex;
   }
 
+  // (Re)create the ping-pong density targets at the negative's size
+  _createTargets(w, h) {
+    const gl = this.gl;
+    this.targets.forEach(t => {
+      gl.deleteFramebuffer(t.fbo);
+      gl.deleteTexture(t.tex);
+    });
+
+    this.targets = [0, 1].map(() => {
+      const tex = this._createTex(w, h, this.floatTargets
+        ? { internal: gl.RGBA16F, format: gl.RGBA, type: gl.HALF_FLOAT }
+        : { internal: gl.RGBA8, format: gl.RGBA, type: gl.UNSIGNED_BYTE });
+      const fbo = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+      return { tex, fbo };
+    });
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  }
+
   uploadTransmittanceFromImageData(imageData) {
-    // imageData is your grayscale inverted negative; take red as trans
+    // imageData is either your grayscale inverted negative (RGBA bytes; take red as trans)
+    // or a one-channel { width, height, data: Float32Array } transmittance in 0..1 from a
+    // 16-bit scan. Both go into an R32F texture so high-bit scans keep their gradation.
     const { width: w, height: h, data } = imageData;
     this.size = { w, h };
 
-    // Convert 0..255 to 0..255 (byte) in RED channel texture; shader reads normalized
-    // We can just keep the R channel as-is from imageData (already inverted grayscale).
-    // Build a compact R8 array.
-    const r8 = new Uint8Array(w * h);
-    for (let i = 0, j = 0; i < data.length; i += 4, j++) {
-      r8[j] = data[i]; // red channel
+    let trans = data;
+    if (!(data instanceof Float32Array)) {
+      trans = new Float32Array(w * h);
+      for (let i = 0, j = 0; i < data.length; i += 4, j++) {
+        trans[j] = data[i] / 255; // red channel
+      }
     }
 
+    // R32F isn't filterable without an extension, but we sample it with NEAREST anyway
     const gl = this.gl;
+    if (this.textures.trans) gl.deleteTexture(this.textures.trans);
     this.textures.trans = this._createTex(w, h, {
       filter: gl.NEAREST,
-      internal: gl.R8,
+      internal: gl.R32F,
       format: gl.RED,
-      type: gl.UNSIGNED_BYTE,
-      data: r8
+      type: gl.FLOAT,
+      data: trans
     });
 
+    this._createTargets(w, h);
+
+    // Masks belong to the previous image; force a re-upload
+    this.maskSources = [];
+    this.bleachSource = undefined;
+
     // Resize draw buffer to match
     this.canvas.width = w;
     this.canvas.height = h;
     gl.viewport(0, 0, w, h);
   }
 
+  setNegativeProfile(profile) {
+    this.negativeProfile = { ...profile };
+  }
+
+  setAccumulation(mode) {
+    this.accumulation = ACCUMULATION_MODES.includes(mode) ? mode : 'density';
+  }
+
+  setIllumination(illumination) {
+    this.illumination = copyIllumination(illumination);
+  }
+
   uploadLUT(sigmoidLUT) {
     const { lut, lo, hi, step } = sigmoidLUT;
     const gl = this.gl;
@@ -269,61 +572,105 @@ class GPUEngine {
       data: bytes
     });
 
-    gl.useProgram(this.prog);
-    gl.uniform1f(this.loc.uLUTLo, lo);
-    gl.uniform1f(this.loc.uLUTStep, step);
-    gl.uniform1f(this.loc.uLUTLenMinus1, N - 1);
+    gl.useProgram(this.accumProg);
+    gl.uniform1f(this.accumLoc.uLUTLo, lo);
+    gl.uniform1f(this.accumLoc.uLUTStep, step);
+    gl.uniform1f(this.accumLoc.uLUTLenMinus1, N - 1);
+
+    gl.useProgram(this.developProg);
+    gl.uniform1f(this.developLoc.uLUTLo, lo);
+    gl.uniform1f(this.developLoc.uLUTStep, step);
+    gl.uniform1f(this.developLoc.uLUTLenMinus1, N - 1);
   }
 
-  uploadMasks(exposures, w, h) {
+  // Upload maskData (or an empty mask) into the texture bound to the active unit
+  _uploadMask(maskData) {
     const gl = this.gl;
-    // Ensure we have MAX slots
-    while (this.textures.masks.length < this.maxExposures) {
-      this.textures.masks.push(this._createTex(w, h, {
-        filter: gl.NEAREST,
-        internal: gl.RGBA8,
-        format: gl.RGBA,
-        type: gl.UNSIGNED_BYTE
-      }));
-    }
-
-    // Calculate the number of exposures to process (same as in render method)
-    const n = Math.min(exposures.length, this.maxExposures);
-
-    // Upload or clear per exposure, limiting to n exposures
-    for (let i = 0; i < n; i++) {
-      const exp = exposures[i];
-      gl.activeTexture(gl.TEXTURE2 + i);
-      gl.bindTexture(gl.TEXTURE_2D, this.textures.masks[i]);
-      if (exp.maskData && exp.maskData.data && exp.maskData.width && exp.maskData.height) {
-        // Ensure we have valid mask data before uploading
-        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
-
-        // Create a temporary canvas to ensure data is properly formatted
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = exp.maskData.width;
-        tempCanvas.height = exp.maskData.height;
-        const tempCtx = tempCanvas.getContext('2d');
-        const tempImgData = tempCtx.createImageData(exp.maskData.width, exp.maskData.height);
-        tempImgData.data.set(exp.maskData.data);
-        tempCtx.putImageData(tempImgData, 0, 0);
-
-        // Use the canvas as the texture source instead of raw data
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, gl.RGBA, gl.UNSIGNED_BYTE, tempCanvas);
-      } else {
-        // clear to zero alpha
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-      }
+    const { w, h } = this.size;
+
+    if (maskData) {
+      // Ensure we have valid mask data before uploading
+      gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+
+      // Create a temporary canvas to ensure data is properly formatted
+      const tempCanvas = document.createElement('canvas');
+      tempCanvas.width = maskData.width;
+      tempCanvas.height = maskData.height;
+      const tempCtx = tempCanvas.getContext('2d');
+      const tempImgData = tempCtx.createImageData(maskData.width, maskData.height);
+      tempImgData.data.set(maskData.data);
+      tempCtx.putImageData(tempImgData, 0, 0);
+
+      // Use the canvas as the texture source instead of raw data
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, gl.RGBA, gl.UNSIGNED_BYTE, tempCanvas);
+    } else {
+      // clear to zero alpha
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
     }
+  }
 
-    gl.activeTexture(gl.TEXTURE0);
+  _validMask(maskData) {
+    return maskData && maskData.data && maskData.width && maskData.height ? maskData : null;
   }
 
-  render(paper, exposures, sigmoidLUT) {
+  _maskTexture() {
     const gl = this.gl;
-    if (!gl || !this.prog) return;
+    return this._createTex(this.size.w, this.size.h, {
+      filter: gl.NEAREST,
+      internal: gl.RGBA8,
+      format: gl.RGBA,
+      type: gl.UNSIGNED_BYTE
+    });
+  }
 
-    gl.useProgram(this.prog);
+  // Bind the mask of exposure i to texture unit 3, uploading it only when it changed
+  _bindMask(i, exp) {
+    const gl = this.gl;
+
+    // One mask slot per exposure, grown on demand
+    while (this.textures.masks.length <= i) {
+      this.textures.masks.push(this._maskTexture());
+    }
+
+    gl.activeTexture(gl.TEXTURE3);
+    gl.bindTexture(gl.TEXTURE_2D, this.textures.masks[i]);
+
+    const maskData = this._validMask(exp.maskData);
+    if (this.maskSources[i] === maskData) return;
+    this.maskSources[i] = maskData;
+    this._uploadMask(maskData);
+  }
+
+  // Bind the local bleach mask to texture unit 4, uploading it only when it changed
+  _bindBleachMask(maskData) {
+    const gl = this.gl;
+    if (!this.textures.bleachMask) this.textures.bleachMask = this._maskTexture();
+
+    gl.activeTexture(gl.TEXTURE4);
+    gl.bindTexture(gl.TEXTURE_2D, this.textures.bleachMask);
+
+    maskData = this._validMask(maskData);
+    if (this.bleachSource === maskData) return;
+    this.bleachSource = maskData;
+    this._uploadMask(maskData);
+  }
+
+  // target: framebuffer for the final pass (null = the canvas)
+  render(paper, exposures, sigmoidLUT, toning = defaultToning(), target = null) {
+    const gl = this.gl;
+    if (!gl || !this.prog || this.targets.length === 0) return;
+
+    const { w, h } = this.size;
+    gl.viewport(0, 0, w, h);
+
+    // Start from zero excess density
+    let src = this.targets[0];
+    let dst = this.targets[1];
+    gl.bindFramebuffer(gl.FRAMEBUFFER, src.fbo);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    gl.useProgram(this.accumProg);
 
     // Bind textures
     gl.activeTexture(gl.TEXTURE0);
@@ -333,6 +680,91 @@ class GPUEngine {
     gl.bindTexture(gl.TEXTURE_2D, this.textures.lut);
 
     // Upload uniforms for paper
+    gl.uniform1f(this.accumLoc.uDmin, paper.Dmin);
+    gl.uniform1f(this.accumLoc.uDmax, paper.Dmax);
+    gl.uniform1f(this.accumLoc.uThreshold, paper.threshold || 0);
+    gl.uniform1f(this.accumLoc.uIntermittency, paper.reciprocity ? paper.reciprocity.intermittency : 0);
+
+    // Negative profile
+    const profile = this.negativeProfile;
+    gl.uniform1i(this.accumLoc.uNegProfile, profile.enabled ? 1 : 0);
+    gl.uniform1f(this.accumLoc.uBaseFog, profile.baseFog);
+    gl.uniform1f(this.accumLoc.uDensityRange, profile.densityRange);
+
+    // Enlarger illumination
+    const illumination = this.illumination;
+    gl.uniform1i(this.accumLoc.uIllumination, illumination.enabled ? 1 : 0);
+    gl.uniform1f(this.accumLoc.uFalloff, cornerFalloff(illumination));
+    gl.uniform1i(this.accumLoc.uPattern, Math.max(0, LIGHT_PATTERNS.indexOf(illumination.pattern)));
+    gl.uniform1f(this.accumLoc.uPatternStrength, illumination.patternStrength);
+    gl.uniform1f(this.accumLoc.uSoftness, illumination.softness / 100);
+    gl.uniform1f(this.accumLoc.uAspect, this.size.h ? this.size.w / this.size.h : 1);
+
+    const latent = this.latentAccumulation;
+    gl.uniform1i(this.accumLoc.uLatent, latent ? 1 : 0);
+
+    // One pass per exposure
+    exposures.forEach((exp, i) => {
+      const timeSec = parseFloat(exp.time);
+      const p = gradeParamsAt(paper, parseFloat(exp.grade));
+
+      gl.uniform1f(this.accumLoc.uLogT, Math.log10(Math.max(1e-6, reciprocityTime(paper, timeSec))));
+      gl.uniform1f(this.accumLoc.uK, p.k);
+      gl.uniform1f(this.accumLoc.uE0, (function midtoneLogEForGrade() {
+        const baseE = paper.baseExposure;
+        const Eshift = Math.pow(2, p.speedShiftStops);
+        return Math.log10(baseE * Eshift);
+      }()));
+      gl.uniform1i(this.accumLoc.uHasMask, exp.maskData ? 1 : 0);
+      gl.uniform1i(this.accumLoc.uMaskMode, exp.maskMode === 'burn' ? 1 : 0);
+      gl.uniform1i(this.accumLoc.uFlash, exp.type === 'flash' ? 1 : 0);
+      const band = exp.stripBand;
+      gl.uniform1i(this.accumLoc.uStripBand, band ? band.index : -1);
+      gl.uniform1i(this.accumLoc.uStripCount, band ? band.count : 1);
+      gl.uniform1i(this.accumLoc.uStripOrientation, band ? Math.max(0, STRIP_ORIENTATIONS.indexOf(band.orientation)) : 0);
+      if (latent) {
+        const gain = latentGainsForGrade(paper, parseFloat(exp.grade));
+        gl.uniform2f(this.accumLoc.uLayerGain, gain.soft, gain.hard);
+      }
+
+      this._bindMask(i, exp);
+
+      gl.activeTexture(gl.TEXTURE2);
+      gl.bindTexture(gl.TEXTURE_2D, src.tex);
+
+      gl.bindFramebuffer(gl.FRAMEBUFFER, dst.fbo);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+      [src, dst] = [dst, src];
+    });
+
+    // Latent-image mode: develop the summed light into density
+    if (latent) {
+      const soft = latentComponent(paper, 'soft');
+      const hard = latentComponent(paper, 'hard');
+      gl.useProgram(this.developProg);
+      gl.uniform1f(this.developLoc.uDmin, paper.Dmin);
+      gl.uniform1f(this.developLoc.uDmax, paper.Dmax);
+      gl.uniform1f(this.developLoc.uThreshold, paper.threshold || 0);
+      gl.uniform1f(this.developLoc.uKSoft, soft.k);
+      gl.uniform1f(this.developLoc.uE0Soft, soft.E0);
+      gl.uniform1f(this.developLoc.uKHard, hard.k);
+      gl.uniform1f(this.developLoc.uE0Hard, hard.E0);
+
+      gl.activeTexture(gl.TEXTURE2);
+      gl.bindTexture(gl.TEXTURE_2D, src.tex);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, dst.fbo);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      [src, dst] = [dst, src];
+    }
+
+    // Final pass to the canvas (or the requested target)
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target);
+    gl.useProgram(this.prog);
+
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, src.tex);
+
     gl.uniform1f(this.loc.uDmin, paper.Dmin);
     gl.uniform1f(this.loc.uDmax, paper.Dmax);
     const { highlights, midtones, shadows } = paper.colorTone;
@@ -340,38 +772,76 @@ class GPUEngine {
     gl.uniform3f(this.loc.uMid, midtones.r, midtones.g, midtones.b);
     gl.uniform3f(this.loc.uSh, shadows.r, shadows.g, shadows.b);
 
-    // Exposure constants
-    const n = Math.min(exposures.length, this.maxExposures);
-    const logT = new Float32Array(this.maxExposures);
-    const kArr = new Float32Array(this.maxExposures);
-    const e0Arr = new Float32Array(this.maxExposures);
-    const hasMask = new Int32Array(this.maxExposures);
-
-    for (let i = 0; i < n; i++) {
-      const grade = parseInt(exposures[i].grade, 10);
-      const timeSec = parseFloat(exposures[i].time);
-      const p = paper.gradeParams[grade];
-      logT[i] = Math.log10(Math.max(1e-6, timeSec));
-      kArr[i] = p.k;
-      e0Arr[i] = (function midtoneLogEForGrade() {
-        const baseE = paper.baseExposure;
-        const Eshift = Math.pow(2, p.speedShiftStops);
-        return Math.log10(baseE * Eshift);
-      }());
-      hasMask[i] = exposures[i].maskData ? 1 : 0;
-    }
-
-    gl.uniform1i(this.loc.uExposureCount, n);
-    gl.uniform1fv(this.loc.uLogT, logT);
-    gl.uniform1fv(this.loc.uK, kArr);
-    gl.uniform1fv(this.loc.uE0, e0Arr);
-    gl.uniform1iv(this.loc.uHasMask, hasMask);
-
-    // Bind mask textures
-    this.uploadMasks(exposures, this.size.w, this.size.h);
+    // Toning / bleaching after development
+    const progress = toningProgress(toning);
+    gl.uniform1f(this.loc.uBleach, progress.bleach);
+    gl.uniform1i(this.loc.uBleachLocal, toning.bleach.local ? 1 : 0);
+    gl.uniform1f(this.loc.uSepia, progress.sepia);
+    gl.uniform1f(this.loc.uSelenium, progress.selenium);
+    gl.uniform1f(this.loc.uGold, progress.gold);
+    this._bindBleachMask(toning.bleach.local ? toning.bleach.maskData : null);
 
     // Draw 2 triangles (using gl_VertexID trick)
     gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  }
+
+  // Render the print off screen at the negative's full resolution and read it back, top row first.
+  // bits 8 -> ImageData; bits 16 -> { width, height, rgb: Uint16Array } (interleaved RGB).
+  // Without float targets 16-bit output only carries 8 bits of precision.
+  readPrint(paper, exposures, sigmoidLUT, toning, bits = 8) {
+    const gl = this.gl;
+    const { w, h } = this.size;
+    const float = this.floatTargets;
+
+    const tex = this._createTex(w, h, float
+      ? { internal: gl.RGBA16F, format: gl.RGBA, type: gl.HALF_FLOAT }
+      : { internal: gl.RGBA8, format: gl.RGBA, type: gl.UNSIGNED_BYTE });
+    const fbo = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+
+    this.render(paper, exposures, sigmoidLUT, toning, fbo);
+
+    const out = bits === 16
+      ? { width: w, height: h, rgb: new Uint16Array(w * h * 3) }
+      : new ImageData(w, h);
+    const maxValue = bits === 16 ? 65535 : 255;
+
+    // Read in bands of rows to keep the float staging buffer small.
+    // Framebuffer rows run bottom-up, so flip while converting.
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+    const bandRows = Math.max(1, Math.min(h, Math.floor(4194304 / (w * 4))));
+    const band = float ? new Float32Array(w * bandRows * 4) : new Uint8Array(w * bandRows * 4);
+    const scale = float ? maxValue : maxValue / 255;
+
+    for (let y0 = 0; y0 < h; y0 += bandRows) {
+      const rows = Math.min(bandRows, h - y0);
+      gl.readPixels(0, y0, w, rows, gl.RGBA, float ? gl.FLOAT : gl.UNSIGNED_BYTE, band);
+
+      for (let r = 0; r < rows; r++) {
+        const outRow = h - 1 - (y0 + r);
+        for (let x = 0; x < w; x++) {
+          const i = (r * w + x) * 4;
+          if (bits === 16) {
+            const o = (outRow * w + x) * 3;
+            for (let c = 0; c < 3; c++) {
+              out.rgb[o + c] = Math.round(Math.max(0, Math.min(maxValue, band[i + c] * scale)));
+            }
+          } else {
+            const o = (outRow * w + x) * 4;
+            for (let c = 0; c < 3; c++) out.data[o + c] = band[i + c] * scale; // clamped array rounds
+            out.data[o + 3] = 255;
+          }
+        }
+      }
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.deleteFramebuffer(fbo);
+    gl.deleteTexture(tex);
+    return out;
   }
 }
 
@@ -379,6 +849,133 @@ class GPUEngine {
 let directoryHandle = null;
 let currentFileHandle = null;
 
+// --- Print export helpers ---
+
+// File extension and MIME type per export format
+const EXPORT_FORMATS = {
+  png: { ext: '.png', mime: 'image/png' },
+  jpeg: { ext: '.jpg', mime: 'image/jpeg' },
+  tiff16: { ext: '.tif', mime: 'image/tiff' }
+};
+
+// Subfolder of the scan folder that exported prints are written to
+const EXPORT_FOLDER = 'prints';
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = CRC32_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Insert an iTXt chunk (UTF-8 text) right after a PNG's IHDR chunk
+function pngWithText(png, keyword, text) {
+  const body = new Uint8Array([
+    ...new TextEncoder().encode(keyword), 0, // keyword, null separator
+    0, 0, 0, 0,                              // uncompressed, no language tag, no translated keyword
+    ...new TextEncoder().encode(text)
+  ]);
+  const chunk = new Uint8Array(12 + body.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, body.length);
+  chunk.set(new TextEncoder().encode('iTXt'), 4);
+  chunk.set(body, 8);
+  view.setUint32(8 + body.length, crc32(chunk.subarray(4, 8 + body.length)));
+
+  // Signature (8 bytes) + IHDR (length 4 + type 4 + 13 data + CRC 4)
+  const ihdrEnd = 8 + 25;
+  const out = new Uint8Array(png.length + chunk.length);
+  out.set(png.subarray(0, ihdrEnd), 0);
+  out.set(chunk, ihdrEnd);
+  out.set(png.subarray(ihdrEnd), ihdrEnd + chunk.length);
+  return out;
+}
+
+// Insert a COM (comment) segment right after a JPEG's SOI marker
+function jpegWithComment(jpeg, text) {
+  const body = new TextEncoder().encode(text).subarray(0, 65533);
+  const segment = new Uint8Array(4 + body.length);
+  segment[0] = 0xFF;
+  segment[1] = 0xFE;
+  new DataView(segment.buffer).setUint16(2, body.length + 2);
+  segment.set(body, 4);
+
+  const out = new Uint8Array(jpeg.length + segment.length);
+  out.set(jpeg.subarray(0, 2), 0);
+  out.set(segment, 2);
+  out.set(jpeg.subarray(2), 2 + segment.length);
+  return out;
+}
+
+// Baseline uncompressed 16-bit RGB TIFF (little-endian) with description and software tags
+function encodeTiff16(width, height, rgb, description) {
+  const encoder = new TextEncoder();
+  const desc = encoder.encode(description + '\0');
+  const software = encoder.encode('Digital Darkroom\0');
+  const imageBytes = rgb.length * 2;
+  const even = n => n + (n & 1);
+
+  // Header | image | description | software | bits per sample | IFD
+  const imageOffset = 8;
+  const descOffset = imageOffset + imageBytes;
+  const softwareOffset = descOffset + even(desc.length);
+  const bpsOffset = softwareOffset + even(software.length);
+  const ifdOffset = bpsOffset + 6 + 2;
+
+  const tags = [
+    [256, 4, 1, width],            // ImageWidth
+    [257, 4, 1, height],           // ImageLength
+    [258, 3, 3, bpsOffset],        // BitsPerSample (16, 16, 16)
+    [259, 3, 1, 1],                // Compression: none
+    [262, 3, 1, 2],                // PhotometricInterpretation: RGB
+    [270, 2, desc.length, descOffset],         // ImageDescription
+    [273, 4, 1, imageOffset],      // StripOffsets
+    [277, 3, 1, 3],                // SamplesPerPixel
+    [278, 4, 1, height],           // RowsPerStrip
+    [279, 4, 1, imageBytes],       // StripByteCounts
+    [284, 3, 1, 1],                // PlanarConfiguration: chunky
+    [305, 2, software.length, softwareOffset]  // Software
+  ];
+
+  const buffer = new ArrayBuffer(ifdOffset + 2 + tags.length * 12 + 4);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  view.setUint8(0, 0x49); // 'I'
+  view.setUint8(1, 0x49); // 'I'
+  view.setUint16(2, 42, true);
+  view.setUint32(4, ifdOffset, true);
+
+  for (let i = 0; i < rgb.length; i++) view.setUint16(imageOffset + i * 2, rgb[i], true);
+  bytes.set(desc, descOffset);
+  bytes.set(software, softwareOffset);
+  for (let i = 0; i < 3; i++) view.setUint16(bpsOffset + i * 2, 16, true);
+
+  let offset = ifdOffset;
+  view.setUint16(offset, tags.length, true);
+  offset += 2;
+  for (const [tag, type, count, value] of tags) {
+    view.setUint16(offset, tag, true);
+    view.setUint16(offset + 2, type, true);
+    view.setUint32(offset + 4, count, true);
+    if (type === 3 && count === 1) view.setUint16(offset + 8, value, true);
+    else view.setUint32(offset + 8, value, true);
+    offset += 12;
+  }
+  view.setUint32(offset, 0, true); // No further IFDs
+
+  return bytes;
+}
+
 // --- D–logE helpers ---
 
 function log10(x) { return Math.log(x) / Math.LN10; }
@@ -393,31 +990,495 @@ function densityFromLogE(logE, Dmin, Dmax, k, E0) {
   return Math.max(Dmin, Math.min(D, Dmax));
 }
 
+// Curve parameters at a continuous grade (0 = 00 ... 11 = 5), interpolated between the paper's grades
+function gradeParamsAt(paper, grade) {
+  const g = Math.min(GRADE_COUNT - 1, Math.max(0, Number(grade) || 0));
+  const i = Math.min(GRADE_COUNT - 2, Math.floor(g));
+  const t = g - i;
+  const a = paper.gradeParams[i];
+  const b = paper.gradeParams[i + 1];
+  return {
+    k: a.k + (b.k - a.k) * t,
+    speedShiftStops: a.speedShiftStops + (b.speedShiftStops - a.speedShiftStops) * t
+  };
+}
+
 // Compute E0 (midtone) for a grade, incorporating the paper's base time and speed-matching.
 // For grades 00–3½: speedShiftStops = 0 (matched).
 // For higher grades: shift right in logE by +stops (needs more time).
 function midtoneLogEForGrade(paper, grade) {
-  const p = paper.gradeParams[grade];
+  const p = gradeParamsAt(paper, grade);
   const baseE = paper.baseExposure;              // arbitrary "exposure units"
   const Eshift = Math.pow(2, p.speedShiftStops); // stops → multiplier
   const Emidtone = baseE * Eshift;
   return log10(Emidtone);
 }
 
-// Convert one exposure (time, grade, pixel transmittance, local dodge) to density.
+// Paper inertia: the emulsion needs a minimum exposure before it responds at all.
+// A soft knee E² / (E + threshold): exposures well below the threshold give almost nothing,
+// well above it they behave as if the threshold had been subtracted.
+function effectiveExposure(E, threshold) {
+  if (!threshold) return E;
+  return E * E / (E + threshold);
+}
+
+// Reciprocity failure: beyond the paper's onset time an exposure loses speed, so t seconds act like
+// onset × (t / onset)^exponent (Schwarzschild) and long burns need extra time. Papers without
+// reciprocity data keep exposure = time × light.
+function reciprocityTime(paper, timeSec) {
+  const r = paper.reciprocity;
+  if (!r || timeSec <= r.onset) return timeSec;
+  return r.onset * Math.pow(timeSec / r.onset, r.exponent);
+}
+
+// Convert one exposure (time, grade, pixel transmittance, local dodge/burn) to density.
 // We compute density per exposure then add the EXCESS density above Dmin across exposures.
 // This approximates mixed-grade printing where filters differ.
-function densityFromOneExposure(paper, timeSec, grade, trans, localMask) {
-  const p = paper.gradeParams[grade];
-  // Exposure at pixel BEFORE curve (E ∝ time × trans), with dodge on exposure:
+// A flash exposure has no negative in the light path: pass trans = 1.
+function densityFromOneExposure(paper, timeSec, grade, trans, localMask, maskMode = 'dodge') {
+  const p = gradeParamsAt(paper, grade);
+  // Exposure at pixel BEFORE curve (E ∝ time × trans), with dodge/burn on exposure:
   // - dodge: localMask in (0..1) reduces exposure by (1 - mask)
-  const maskMul = localMask > 0 ? (1 - localMask) : 1;
-  const E = Math.max(1e-6, timeSec * trans * maskMul); // arbitrary units
+  // - burn:  only the masked area is exposed, like a card with a hole (× mask)
+  const maskMul = maskMode === 'burn' ? localMask : (localMask > 0 ? (1 - localMask) : 1);
+  const E = Math.max(1e-6, effectiveExposure(reciprocityTime(paper, timeSec) * trans * maskMul, paper.threshold)); // arbitrary units
   const logE = log10(E);
   const E0 = midtoneLogEForGrade(paper, grade);
   return densityFromLogE(logE, paper.Dmin, paper.Dmax, p.k, E0);
 }
 
+// --- Latent-image accumulation ---
+// Multigrade paper is a blend of a soft and a hard emulsion component; the filtration only
+// decides how much of an exposure's light reaches each. In latent-image mode exposures add up
+// as light per component and the curves are applied once, after the last exposure, so two 8s
+// exposures print like one 16s exposure. The components take the paper's softest and hardest
+// curves and a developed grain counts once: s = 1 - (1 - s_soft)(1 - s_hard).
+const ACCUMULATION_MODES = ['density', 'latent'];
+
+// Curve of one emulsion component
+function latentComponent(paper, component) {
+  const grade = component === 'hard' ? GRADE_COUNT - 1 : 0;
+  return { k: gradeParamsAt(paper, grade).k, E0: midtoneLogEForGrade(paper, grade) };
+}
+
+// Share of an exposure's light reaching the soft and hard components at a grade, fitted so that
+// a single exposure keeps the grade's midtone speed and contrast (threshold aside)
+const latentGainCache = new Map();
+function latentGainsForGrade(paper, grade) {
+  const key = `${paper.name}|${paper.baseExposure}|${grade}|${JSON.stringify(paper.gradeParams)}`;
+  if (latentGainCache.has(key)) return latentGainCache.get(key);
+
+  const soft = latentComponent(paper, 'soft');
+  const hard = latentComponent(paper, 'hard');
+  const E0 = midtoneLogEForGrade(paper, grade);
+  const target = gradeParamsAt(paper, grade);
+  const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+  const response = (logE, hardShare, logGain) => {
+    const s = hardShare < 1 ? sigmoid(soft.k * (logE + logGain + log10(1 - hardShare) - soft.E0)) : 0;
+    const h = hardShare > 0 ? sigmoid(hard.k * (logE + logGain + log10(hardShare) - hard.E0)) : 0;
+    return 1 - (1 - s) * (1 - h);
+  };
+  // Overall gain that puts half density at the grade's midtone
+  const gainFor = (hardShare) => {
+    let lo = -6, hi = 6;
+    for (let i = 0; i < 40; i++) {
+      const mid = (lo + hi) / 2;
+      if (response(E0, hardShare, mid) < 0.5) lo = mid; else hi = mid;
+    }
+    return (lo + hi) / 2;
+  };
+  // Then the split of the light that best follows the grade's curve through the midtones
+  const offsets = [-0.3, -0.15, 0.15, 0.3];
+  let best = { error: Infinity, hardShare: 0, logGain: 0 };
+  for (let i = 0; i <= 100; i++) {
+    const hardShare = i / 100;
+    const logGain = gainFor(hardShare);
+    const error = offsets.reduce((sum, d) => {
+      const diff = response(E0 + d, hardShare, logGain) - sigmoid(target.k * d);
+      return sum + diff * diff;
+    }, 0);
+    if (error < best.error) best = { error, hardShare, logGain };
+  }
+  const gain = Math.pow(10, best.logGain);
+  const gains = { soft: gain * (1 - best.hardShare), hard: gain * best.hardShare };
+  if (latentGainCache.size > 256) latentGainCache.clear();
+  latentGainCache.set(key, gains);
+  return gains;
+}
+
+// Optional calibrated negative: instead of using the scan value as transmittance directly,
+// treat it as a real negative with film base+fog density and a density range (thin negatives
+// have a short range, dense ones a high base), so printing times match a real enlarger
+function defaultNegativeProfile() {
+  return { enabled: false, baseFog: 0.25, densityRange: 1.05 };
+}
+
+// --- Enlarger illumination ---
+// A real enlarger doesn't light the easel evenly: the lens loses light towards the corners (more
+// wide open than stopped down), the light source may have a hot spot or be off-centre, and the
+// lens is softer at the edges. Exposure times are taken at the chosen aperture, so the aperture
+// only changes how much the corners fall off.
+const APERTURES = [2.8, 4, 5.6, 8, 11, 16, 22];
+const LIGHT_PATTERNS = ['even', 'hotspot', 'tilted', 'mottled'];
+
+function defaultIllumination() {
+  return {
+    enabled: false,
+    aperture: 8,
+    falloff: [1.0, 0.65, 0.45, 0.3, 0.25, 0.22, 0.2], // corner falloff in stops at each of APERTURES
+    pattern: 'even',
+    patternStrength: 0.2, // stops
+    softness: 0           // blur radius in the corners, % of the frame diagonal
+  };
+}
+
+function copyIllumination(illumination) {
+  return { ...illumination, falloff: [...illumination.falloff] };
+}
+
+// Corner falloff (stops) at the illumination's aperture
+function cornerFalloff(illumination) {
+  const i = APERTURES.indexOf(illumination.aperture);
+  return i >= 0 ? illumination.falloff[i] : 0;
+}
+
+// Transmittance of the negative for a scan value (0..1, 1 = clearest film) under a profile
+// (CPU mirror of the accumulation shader, used by the curve viewer)
+function profileTransmittance(value, profile) {
+  if (!profile || !profile.enabled) return value;
+  return Math.pow(10, -(profile.baseFog + (1 - value) * profile.densityRange));
+}
+
+// --- Paper profiles ---
+
+// Grades per paper profile (0 = 00 ... 11 = 5)
+const GRADE_COUNT = 12;
+
+// Display names for grade indices (0 = 00 ... 11 = 5), as in the grade menus
+const GRADE_LABELS = ['00', '0', '0½', '1', '1½', '2', '2½', '3', '3½', '4', '4½', '5'];
+
+// Grades are continuous indices (0 = 00 ... 11 = 5) in half-grade steps. The nominal grade
+// printers dial is (index - 1) / 2: index 1 is grade 0, and 00 sits half a grade below it.
+function nominalGrade(grade) {
+  return (grade - 1) / 2;
+}
+
+function gradeFromNominal(nominal) {
+  return Math.min(GRADE_COUNT - 1, Math.max(0, 1 + 2 * nominal));
+}
+
+// Name for a grade: the menu label on a half-grade step, otherwise the nominal grade to one decimal
+function formatGrade(grade) {
+  const g = Math.round(grade * 100) / 100;
+  if (Number.isInteger(g) && GRADE_LABELS[g]) return GRADE_LABELS[g];
+  return nominalGrade(g).toFixed(1);
+}
+
+// IndexedDB key holding the user's own paper profiles (id -> profile)
+const CUSTOM_PAPERS_KEY = 'customPapers';
+
+// Check a paper profile (e.g. from an imported JSON file) and return a clean copy; throws on bad data
+function normalizePaperProfile(data) {
+  if (!data || typeof data !== 'object') throw new Error('Not a paper profile');
+
+  const number = (value, name, min, max) => {
+    const n = Number(value);
+    if (!isFinite(n) || n < min || n > max) throw new Error(`${name} must be a number between ${min} and ${max}`);
+    return n;
+  };
+  const tone = (t, name) => {
+    if (!t) throw new Error(`Missing ${name} tone`);
+    return {
+      r: number(t.r, `${name} red`, 0, 1),
+      g: number(t.g, `${name} green`, 0, 1),
+      b: number(t.b, `${name} blue`, 0, 1)
+    };
+  };
+
+  if (!Array.isArray(data.gradeParams) || data.gradeParams.length !== GRADE_COUNT) {
+    throw new Error(`A paper profile needs ${GRADE_COUNT} grades`);
+  }
+
+  const paper = {
+    name: String(data.name || 'Custom paper').slice(0, 60),
+    description: String(data.description || '').slice(0, 200),
+    baseExposure: number(data.baseExposure, 'Base exposure', 0.01, 10000),
+    Dmin: number(data.Dmin, 'Dmin', 0, 1),
+    Dmax: number(data.Dmax, 'Dmax', 0.1, 4),
+    threshold: number(data.threshold || 0, 'Threshold', 0, 100),
+    reciprocity: data.reciprocity ? {
+      onset: number(data.reciprocity.onset, 'Reciprocity onset', 0.1, 10000),
+      exponent: number(data.reciprocity.exponent, 'Reciprocity exponent', 0.3, 1),
+      intermittency: number(data.reciprocity.intermittency || 0, 'Intermittency', 0, 0.5)
+    } : null,
+    gradeParams: data.gradeParams.map((g, i) => ({
+      k: number(g && g.k, `k for grade ${GRADE_LABELS[i]}`, 0.1, 50),
+      speedShiftStops: number(g && g.speedShiftStops, `Speed shift for grade ${GRADE_LABELS[i]}`, -5, 5)
+    })),
+    colorTone: {
+      highlights: tone(data.colorTone && data.colorTone.highlights, 'highlights'),
+      midtones: tone(data.colorTone && data.colorTone.midtones, 'midtones'),
+      shadows: tone(data.colorTone && data.colorTone.shadows, 'shadows')
+    }
+  };
+
+  if (paper.Dmax <= paper.Dmin) throw new Error('Dmax must be higher than Dmin');
+  return paper;
+}
+
+// Paper tone { r, g, b } (0..1) <-> #rrggbb for colour inputs
+function toneToHex(tone) {
+  return '#' + [tone.r, tone.g, tone.b].map(v => Math.round(v * 255).toString(16).padStart(2, '0')).join('');
+}
+
+function hexToTone(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return { r: ((n >> 16) & 255) / 255, g: ((n >> 8) & 255) / 255, b: (n & 255) / 255 };
+}
+
+// --- Enlarger profiles ---
+
+// Dichroic colour heads set contrast with yellow and magenta filtration instead of grade filters.
+// Only the net filtration (magenta minus yellow) changes the blue/green balance and so the grade;
+// the part dialled into both filters is neutral density that just costs speed.
+// Each profile maps net filtration (in the head's units) to a continuous grade index (0 = 00 ... 11 = 5),
+// following Ilford's Multigrade filtration tables for that head; they are starting points,
+// a real head should be checked with a test strip.
+const ENLARGER_PROFILES = {
+  durst: {
+    name: 'Durst (170 units)',
+    maxUnits: 170,
+    unitDensity: 0.01, // neutral density per unit
+    points: [[-90, 0], [-65, 1], [-45, 2], [-24, 3], [-3, 4], [20, 5], [43, 6], [65, 7], [90, 8], [115, 9], [140, 10], [170, 11]]
+  },
+  kaiser: {
+    name: 'Kaiser (130 units)',
+    maxUnits: 130,
+    unitDensity: 0.01,
+    points: [[-80, 0], [-60, 1], [-40, 2], [-22, 3], [-5, 4], [12, 5], [30, 6], [50, 7], [70, 8], [90, 9], [110, 10], [130, 11]]
+  },
+  // Ilford's general table for other colour heads (Kodak-style units)
+  ilford: {
+    name: 'Ilford table (200 units)',
+    maxUnits: 200,
+    unitDensity: 0.01,
+    points: [[-90, 0], [-65, 1], [-45, 2], [-25, 3], [-8, 4], [10, 5], [30, 6], [50, 7], [75, 8], [105, 9], [145, 10], [200, 11]]
+  }
+};
+
+// Continuous grade index for a yellow/magenta filtration on an enlarger
+function filtrationGrade(enlarger, filtration) {
+  const points = enlarger.points;
+  const net = filtration.m - filtration.y;
+  if (net <= points[0][0]) return points[0][1];
+
+  for (let i = 1; i < points.length; i++) {
+    const [n1, g1] = points[i];
+    if (net <= n1) {
+      const [n0, g0] = points[i - 1];
+      return g0 + (g1 - g0) * (net - n0) / (n1 - n0);
+    }
+  }
+  return points[points.length - 1][1];
+}
+
+// Exposure multiplier for the neutral density in a filtration
+function filtrationSpeedFactor(enlarger, filtration) {
+  return Math.pow(10, -enlarger.unitDensity * Math.min(filtration.y, filtration.m));
+}
+
+// Single-filter filtration (only yellow or only magenta) giving a grade; grades beyond
+// what the head can reach get its end of the scale
+function gradeFiltration(enlarger, grade) {
+  const points = enlarger.points;
+  let net = grade <= points[0][1] ? points[0][0] : points[points.length - 1][0];
+
+  for (let i = 1; i < points.length; i++) {
+    const [n1, g1] = points[i];
+    const [n0, g0] = points[i - 1];
+    if (grade >= g0 && grade <= g1) {
+      net = n0 + (n1 - n0) * (grade - g0) / (g1 - g0);
+      break;
+    }
+  }
+
+  net = Math.round(net);
+  return { y: Math.max(0, -net), m: Math.max(0, net) };
+}
+
+// Plot a paper's D-logE curves for the given grades into a canvas.
+// range ({ loE, hiE }) overrides the default of about ±1.5 log units around the grades' midtones.
+// Returns the mapping used so callers can add their own marks.
+function drawPaperCurves(canvas, paper, grades, range = null) {
+  const ctx = canvas.getContext('2d');
+  const w = canvas.width, h = canvas.height;
+  const pad = 22;
+
+  const midtones = grades.map(g => midtoneLogEForGrade(paper, g));
+  const loE = range ? range.loE : Math.min(...midtones) - 1.5;
+  const hiE = range ? range.hiE : Math.max(...midtones) + 1.5;
+  const maxD = Math.max(2.2, paper.Dmax + 0.1);
+  const x = logE => pad + (logE - loE) / (hiE - loE) * (w - pad - 4);
+  const y = D => h - pad - D / maxD * (h - pad - 4);
+
+  ctx.clearRect(0, 0, w, h);
+
+  // Axes and grid: one line per log unit and per 0.5 density
+  ctx.strokeStyle = 'rgba(255, 0, 0, 0.25)';
+  ctx.lineWidth = 1;
+  ctx.fillStyle = 'rgba(255, 0, 0, 0.7)';
+  ctx.font = '10px sans-serif';
+  for (let e = Math.ceil(loE); e <= hiE; e++) {
+    ctx.beginPath();
+    ctx.moveTo(x(e), 4);
+    ctx.lineTo(x(e), h - pad);
+    ctx.stroke();
+    ctx.fillText(String(e), x(e) - 3, h - pad + 12);
+  }
+  for (let d = 0; d <= maxD; d += 0.5) {
+    ctx.beginPath();
+    ctx.moveTo(pad, y(d));
+    ctx.lineTo(w - 4, y(d));
+    ctx.stroke();
+    ctx.fillText(d.toFixed(1), 0, y(d) + 3);
+  }
+
+  // One curve per grade, soft grades dim, hard grades bright
+  grades.forEach((grade, i) => {
+    const p = gradeParamsAt(paper, grade);
+    const E0 = midtones[i];
+    ctx.strokeStyle = `hsl(0, 100%, ${35 + 40 * grade / (GRADE_COUNT - 1)}%)`;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (let px = pad; px <= w - 4; px++) {
+      const logE = loE + (px - pad) / (w - pad - 4) * (hiE - loE);
+      const D = densityFromLogE(logE, paper.Dmin, paper.Dmax, p.k, E0);
+      if (px === pad) ctx.moveTo(px, y(D));
+      else ctx.lineTo(px, y(D));
+    }
+    ctx.stroke();
+  });
+
+  return { x, y, loE, hiE, maxD };
+}
+
+// --- Step wedge calibration ---
+
+// Mean scan value of each step of a printed step wedge. The wedge runs along the image's long
+// side; each step is averaged over its middle (away from the step edges and the wedge's border).
+// Returns values ordered from the most exposed (darkest) step to the least exposed.
+function sampleStepWedge(raster, steps) {
+  const { width, height } = raster;
+  const horizontal = width >= height;
+  const along = horizontal ? width : height;
+  const across = horizontal ? height : width;
+
+  const values = [];
+  for (let i = 0; i < steps; i++) {
+    const a0 = Math.floor((i + 0.25) * along / steps);
+    const a1 = Math.max(a0 + 1, Math.floor((i + 0.75) * along / steps));
+    let sum = 0, count = 0;
+    for (let a = a0; a < a1; a++) {
+      for (let c = Math.floor(across * 0.25); c < Math.ceil(across * 0.75); c++) {
+        const x = horizontal ? a : c;
+        const y = horizontal ? c : a;
+        sum += rasterLuma(raster, y * width + x);
+        count++;
+      }
+    }
+    values.push(count ? sum / count : 0);
+  }
+
+  // Step 1 (thinnest part of the wedge) prints darkest
+  return values[0] <= values[values.length - 1] ? values : values.reverse();
+}
+
+// sRGB-encoded value (0..1) -> linear reflectance
+function srgbToLinear(v) {
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+// Least-squares fit of densityFromLogE (Dmin, Dmax, k, E0) to measured points,
+// Levenberg-Marquardt with a numeric Jacobian. Returns the parameters and the RMS error.
+function fitCharacteristicCurve(logE, D) {
+  const model = (p, x) => densityFromLogE(x, p[0], p[1], p[2], p[3]);
+  const residuals = p => logE.map((x, i) => D[i] - model(p, x));
+  const sumSq = r => r.reduce((s, v) => s + v * v, 0);
+
+  // Start from the measured extremes, the midpoint crossing and a moderate slope
+  const Dmin = Math.min(...D), Dmax = Math.max(...D);
+  const mid = (Dmin + Dmax) / 2;
+  let iMid = 0;
+  D.forEach((d, i) => { if (Math.abs(d - mid) < Math.abs(D[iMid] - mid)) iMid = i; });
+  let p = [Dmin, Dmax, 4, logE[iMid]];
+  let r = residuals(p);
+  let lambda = 1e-2;
+
+  for (let iter = 0; iter < 200; iter++) {
+    // Jacobian of the model (n x 4)
+    const J = logE.map(x => p.map((_, j) => {
+      const h = 1e-6 * Math.max(1, Math.abs(p[j]));
+      const q = p.slice();
+      q[j] += h;
+      return (model(q, x) - model(p, x)) / h;
+    }));
+
+    // (JᵀJ + λ diag(JᵀJ)) δ = Jᵀr
+    const A = [0, 1, 2, 3].map(a => [0, 1, 2, 3].map(b => J.reduce((s, row) => s + row[a] * row[b], 0)));
+    const g = [0, 1, 2, 3].map(a => J.reduce((s, row, i) => s + row[a] * r[i], 0));
+    const M = A.map((row, a) => row.map((v, b) => (a === b ? v * (1 + lambda) + 1e-12 : v)));
+    const delta = solveLinear(M, g);
+    if (!delta) break;
+
+    const next = p.map((v, j) => v + delta[j]);
+    next[2] = Math.max(0.1, next[2]);
+    const nextR = residuals(next);
+    if (sumSq(nextR) < sumSq(r)) {
+      const done = sumSq(r) - sumSq(nextR) < 1e-12;
+      p = next;
+      r = nextR;
+      lambda = Math.max(1e-9, lambda / 3);
+      if (done) break;
+    } else {
+      lambda *= 4;
+      if (lambda > 1e9) break;
+    }
+  }
+
+  return { Dmin: p[0], Dmax: p[1], k: p[2], E0: p[3], rms: Math.sqrt(sumSq(r) / D.length) };
+}
+
+// Solve a small linear system by Gaussian elimination with partial pivoting (null if singular)
+function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-15) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let row = col + 1; row < n; row++) {
+      const f = M[row][col] / M[col][col];
+      for (let k = col; k <= n; k++) M[row][k] -= f * M[col][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = M[row][n];
+    for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+    x[row] = sum / M[row][row];
+  }
+  return x;
+}
+
+// Overlay colour (r, g, b) used to show a mask of the given mode on screen and in previews
+function maskTint(maskMode) {
+  if (maskMode === 'bleach') return [255, 255, 0];
+  return maskMode === 'burn' ? [255, 160, 0] : [255, 0, 0];
+}
+
 // ADD: once-per-app LUT for a logistic sigmoid over a wide range
 function makeSigmoidLUT() {
   const N = 4096, lo = -12, hi = 12;
@@ -430,10 +1491,304 @@ function makeSigmoidLUT() {
   return { lut, lo, hi, step };
 }
 
+// --- Crop / rotate helpers ---
+
+// Preset crop aspect ratios (long side / short side); 'full' keeps the frame's own ratio
+const CROP_ASPECTS = {
+  'full': null,
+  '5x4': 5 / 4,
+  '1x1': 1,
+  '7x5': 7 / 5
+};
+
+function defaultCrop() {
+  return { aspect: 'full', angle: 0, quarterTurns: 0, cx: 0.5, cy: 0.5, size: 1 };
+}
+
+// Size of the negative and the source → negative transform for a crop.
+// The source is first turned by quarterTurns × 90°, giving the "frame". The crop rectangle is
+// centred at (cx, cy) in the frame (0..1), tilted by `angle` degrees for leveling, and is the
+// largest rectangle of its aspect that fits inside the frame at that angle, times `size`.
+// It is cut out at 1:1 scale, so the negative keeps the scan's resolution.
+function cropGeometry(crop, srcW, srcH) {
+  const q = ((crop.quarterTurns % 4) + 4) % 4;
+  const frameW = q % 2 ? srcH : srcW;
+  const frameH = q % 2 ? srcW : srcH;
+
+  const theta = crop.angle * Math.PI / 180;
+  const c = Math.abs(Math.cos(theta)), s = Math.abs(Math.sin(theta));
+
+  // Aspect as width / height, following the frame's orientation
+  const preset = CROP_ASPECTS[crop.aspect];
+  const r = preset ? (frameW >= frameH ? preset : 1 / preset) : frameW / frameH;
+
+  const h = Math.min(frameW / (r * c + s), frameH / (r * s + c)) * crop.size;
+  const w = r * h;
+
+  // Keep the tilted rectangle's bounding box inside the frame (no blank corners)
+  const halfBoxW = (w * c + h * s) / 2;
+  const halfBoxH = (w * s + h * c) / 2;
+  const cx = Math.min(Math.max(crop.cx * frameW, halfBoxW), frameW - halfBoxW);
+  const cy = Math.min(Math.max(crop.cy * frameH, halfBoxH), frameH - halfBoxH);
+
+  const width = Math.max(1, Math.round(w));
+  const height = Math.max(1, Math.round(h));
+
+  const matrix = new DOMMatrix()
+    .translate(width / 2, height / 2)
+    .rotate(-crop.angle)
+    .translate(-cx, -cy)
+    .translate(frameW / 2, frameH / 2)
+    .rotate(q * 90)
+    .translate(-srcW / 2, -srcH / 2);
+
+  return { width, height, matrix, frameW, frameH, cx: cx / frameW, cy: cy / frameH };
+}
+
+// --- Toning / bleaching helpers ---
+
+// Baths applied after development, in processing order. `tau` is how long (minutes, at full
+// strength) a bath takes to get about two thirds of the way to completion.
+const TONERS = [
+  { id: 'bleach',   name: 'Ferricyanide bleach', tau: 2 },
+  { id: 'sepia',    name: 'Sepia',               tau: 3 },
+  { id: 'selenium', name: 'Selenium',            tau: 5 },
+  { id: 'gold',     name: 'Gold',                tau: 10 }
+];
+
+function defaultToning() {
+  const toning = {};
+  TONERS.forEach(t => { toning[t.id] = { strength: 0, time: 0 }; });
+  // The bleach can be restricted to a painted mask
+  Object.assign(toning.bleach, { local: false, maskMode: 'bleach', maskData: null });
+  return toning;
+}
+
+// How far each bath has gone (0..1) given its strength (% of stock) and time (minutes)
+function toningProgress(toning) {
+  const progress = {};
+  TONERS.forEach(t => {
+    const step = toning[t.id];
+    progress[t.id] = 1 - Math.exp(-(step.strength / 100) * step.time / t.tau);
+  });
+  return progress;
+}
+
+// What an image file shows, stored per image: a positive to be inverted, a scan of a
+// B&W negative (already negative), or a colour negative whose orange base must be removed
+const INPUT_TYPES = ['positive', 'bw-negative', 'colour-negative'];
+
+// Film base colour of a colour negative scan: the brightest (least dense) value per channel.
+// A high percentile keeps dust specks and scanner glare from setting it.
+// data holds `step` samples per pixel scaled to 0..1 by `scale`; grey scans use channel 0 for all three
+function estimateFilmBase(data, step, scale) {
+  const bins = 1024;
+  const histograms = [0, 1, 2].map(() => new Uint32Array(bins));
+  const channels = step >= 3 ? 3 : 1;
+  const pixels = Math.floor(data.length / step);
+
+  for (let i = 0; i < data.length; i += step) {
+    for (let c = 0; c < channels; c++) {
+      histograms[c][Math.min(bins - 1, Math.floor(data[i + c] * scale * (bins - 1)))]++;
+    }
+  }
+
+  const base = histograms.slice(0, channels).map(histogram => {
+    let seen = 0;
+    for (let bin = bins - 1; bin > 0; bin--) {
+      seen += histogram[bin];
+      if (seen >= pixels * 0.005) return Math.max(1 / bins, bin / (bins - 1));
+    }
+    return 1;
+  });
+  return channels === 3 ? base : [base[0], base[0], base[0]];
+}
+
+// Transmittance (0..1) of the negative at a scan pixel with channel values r, g, b (0..1)
+function scanTransmittance(r, g, b, inputType, filmBase) {
+  if (inputType === 'colour-negative') {
+    r = Math.min(1, r / filmBase[0]);
+    g = Math.min(1, g / filmBase[1]);
+    b = Math.min(1, b / filmBase[2]);
+  }
+  const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+  return inputType === 'positive' ? 1 - luma : luma;
+}
+
+// Transmittance of a decoded scan seen through the crop transform.
+// Mirrors the canvas path for 8-bit images: bilinear sampling, outside the source reads as black.
+function rasterTransmittance(raster, geom, inputType = 'positive') {
+  const { width: sw, height: sh, channels, data } = raster;
+  const filmBase = inputType === 'colour-negative' ? estimateFilmBase(data, channels, 1) : null;
+
+  const source = new Float32Array(sw * sh);
+  for (let i = 0; i < source.length; i++) {
+    const o = i * channels;
+    source[i] = channels >= 3
+      ? scanTransmittance(data[o], data[o + 1], data[o + 2], inputType, filmBase)
+      : scanTransmittance(data[o], data[o], data[o], inputType, filmBase);
+  }
+  const outside = scanTransmittance(0, 0, 0, inputType, filmBase);
+
+  // Negative pixel -> source pixel
+  const { a, b, c, d, e, f } = geom.matrix.inverse();
+  const sample = (x, y) => (x >= 0 && y >= 0 && x < sw && y < sh ? source[y * sw + x] : outside);
+
+  const trans = new Float32Array(geom.width * geom.height);
+  for (let y = 0; y < geom.height; y++) {
+    for (let x = 0; x < geom.width; x++) {
+      const sx = a * (x + 0.5) + c * (y + 0.5) + e - 0.5;
+      const sy = b * (x + 0.5) + d * (y + 0.5) + f - 0.5;
+      const x0 = Math.floor(sx), y0 = Math.floor(sy);
+      const fx = sx - x0, fy = sy - y0;
+      const top = sample(x0, y0) * (1 - fx) + sample(x0 + 1, y0) * fx;
+      const bottom = sample(x0, y0 + 1) * (1 - fx) + sample(x0 + 1, y0 + 1) * fx;
+      trans[y * geom.width + x] = top * (1 - fy) + bottom * fy;
+    }
+  }
+  return trans;
+}
+
+// Test strip: band i gets baseTime * 2^(i * stepStops) seconds
+function defaultTestStrip() {
+  return { baseTime: 4, stepStops: 0.5, count: 6, orientation: 'horizontal' };
+}
+
+function testStripTimes(strip) {
+  return Array.from({ length: strip.count }, (_, i) => strip.baseTime * Math.pow(2, i * strip.stepStops));
+}
+
+// Test strip band layouts: horizontal bands run top to bottom, vertical bands left to right,
+// radial bands are rings from the centre outwards. The accumulation shader works out each
+// pixel's band, so a band's exposure needs no mask.
+const STRIP_ORIENTATIONS = ['horizontal', 'vertical', 'radial'];
+
+// Label for a test strip band time
+function formatStripTime(seconds) {
+  return (seconds < 10 ? seconds.toFixed(1) : Math.round(seconds).toString()) + 's';
+}
+
+// Exposure ids are millisecond timestamps; exposures created together (a split-grade pair,
+// a loaded project) would otherwise share one
+let lastExposureId = 0;
+function makeExposureId() {
+  lastExposureId = Math.max(Date.now(), lastExposureId + 1);
+  return lastExposureId.toString();
+}
+
+// Split-grade printing: one exposure at the softest grade and one at the hardest.
+// Roles are stored in the .ddr by index (0 = not part of a pair).
+const SPLIT_ROLES = [null, 'soft', 'hard'];
+const SPLIT_GRADES = { soft: 0, hard: 11 };
+
+// Contrast balance (0 = all soft, 1 = all hard) of a soft/hard time pair
+function splitBalance(softTime, hardTime) {
+  const total = softTime + hardTime;
+  return total > 0 ? hardTime / total : 0.5;
+}
+
+// Soft and hard times for a total time at a contrast balance
+function splitTimes(totalTime, balance) {
+  const b = Math.min(1, Math.max(0, balance));
+  return { soft: totalTime * (1 - b), hard: totalTime * b };
+}
+
+// Exposure time control: any time in this range can be typed, scrolled or dragged to
+const EXPOSURE_TIME_MIN = 0.1;
+const EXPOSURE_TIME_MAX = 999;
+const TIME_NUDGE_STOPS = 1 / 12; // One wheel notch or scrub step
+const TIME_SCRUB_PX = 6;         // Horizontal drag per scrub step
+
+function clampExposureTime(time) {
+  return Math.min(EXPOSURE_TIME_MAX, Math.max(EXPOSURE_TIME_MIN, time));
+}
+
+// Change a time by a number of nudge steps (multiplicative, so each step is the same fraction of a stop)
+function nudgeExposureTime(time, steps) {
+  return clampExposureTime(time * Math.pow(2, steps * TIME_NUDGE_STOPS));
+}
+
+function formatExposureTime(time) {
+  return time < 100 ? time.toFixed(2) : time.toFixed(1);
+}
+
+// f-stop timing: exposures are shown and stepped as stops from a base time.
+// Step increments are fractions of a stop, by denominator (1/2 ... 1/12).
+const FSTOP_STEPS = [2, 3, 6, 12];
+
+function defaultTiming() {
+  return { mode: 'seconds', baseTime: 16, stepDenominator: 3 };
+}
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : a;
+}
+
+// Stop offset label: "+1 1/3", "−1/2", "±0". Offsets more than 1/100 stop off the step grid
+// are shown in decimal (typed times are usually rounded to 1/100 s, so they sit just off it).
+function formatStops(stops, denominator) {
+  const steps = stops * denominator;
+  if (Math.abs(steps - Math.round(steps)) > 0.01 * denominator) {
+    return (stops > 0 ? '+' : '−') + Math.abs(stops).toFixed(2);
+  }
+
+  const n = Math.abs(Math.round(steps));
+  if (n === 0) return '±0';
+
+  const whole = Math.floor(n / denominator);
+  const remainder = n % denominator;
+  const divisor = gcd(remainder, denominator);
+  const fraction = remainder ? `${remainder / divisor}/${denominator / divisor}` : '';
+  return (steps > 0 ? '+' : '−') + [whole || '', fraction].filter(Boolean).join(' ');
+}
+
+// How a pointer sample scales the brush: pen pressure sets flow and size,
+// tilting the pen lays the "tool" over (wider, softer); mouse and touch paint at the slider values
+function pointerDynamics(e) {
+  if (e.pointerType !== 'pen') return { size: 1, flow: 1 };
+
+  const pressure = e.pressure > 0 ? e.pressure : 0.5;
+  const tilt = Math.min(1, Math.hypot(e.tiltX || 0, e.tiltY || 0) / 90);
+  return {
+    size: (0.5 + 0.5 * pressure) * (1 + tilt),
+    flow: pressure * (1 - 0.5 * tilt)
+  };
+}
+
+// Negative/result arrangements for the images container
+const IMAGE_LAYOUTS = ['side-by-side', 'stacked', 'tabbed'];
+// Below this on-screen short side (CSS px) a split layout is too cramped; show one view at a time
+const MIN_SPLIT_IMAGE_PX = 240;
+
+// Pick the layout that shows the image largest in a container of the given size:
+// side by side halves the width, stacked halves the height, tabbed uses the whole area for one view
+function chooseImageLayout(imageW, imageH, containerW, containerH, gap = 0) {
+  if (!imageW || !imageH || !containerW || !containerH) return 'side-by-side';
+
+  const fit = (w, h) => Math.min(w / imageW, h / imageH);
+  const sideBySide = fit((containerW - gap) / 2, containerH);
+  const stacked = fit(containerW, (containerH - gap) / 2);
+  const best = Math.max(sideBySide, stacked);
+
+  if (Math.min(imageW, imageH) * best < MIN_SPLIT_IMAGE_PX && fit(containerW, containerH) > best) {
+    return 'tabbed';
+  }
+  return sideBySide >= stacked ? 'side-by-side' : 'stacked';
+}
+
 // Main application object
 const DarkroomSimulator = {
   // State variables
   originalImage: null,
+  _paperEditorId: null, // Paper the profile editor was opened on (null for an imported profile)
+  _calibration: null, // Paper profile fitted from the last analysed step wedge
+  transRange: null, // { min, max } transmittance of the current negative (before any negative profile)
+  inputType: 'positive', // One of INPUT_TYPES, saved with the project
+  negativeProfile: defaultNegativeProfile(),
+  timing: defaultTiming(), // Seconds or f-stop display of exposure times, saved with the project
+  enlarger: null, // ENLARGER_PROFILES id when printing with a colour head, null for grade filters
+  accumulation: 'density', // One of ACCUMULATION_MODES, saved with the project
+  illumination: defaultIllumination(), // Enlarger falloff, light-source pattern and lens softness
   negativeImage: null,
   paperType: 'ilford-multigrade',
   exposures: [],
@@ -442,6 +1797,11 @@ const DarkroomSimulator = {
   selectedExposureId: null, // Track the currently selected exposure
   negativeImageEl: null,
   currentProjectId: null, // Track the current project ID for auto-save
+  crop: defaultCrop(), // Crop / rotation applied to the scan before printing
+  toning: defaultToning(), // Toning / bleaching baths after development
+  maskTarget: null, // 'bleach' while the brush paints the local bleach mask
+  _toningEditStarted: false, // history saved for the toning control being dragged
+  _splitEditStarted: false, // history saved for the split-grade control being dragged
   initialized: false,
   saveWarningShown: false, // Track if save warning has been shown
   saveErrorShown: false, // Track if save error has been shown
@@ -460,7 +1820,7 @@ const DarkroomSimulator = {
   maskCtx: null,
   maskData: null,
   isMaskToolActive: false,
-  activeTool: 'dodge', // 'dodge' or 'erase'
+  activeTool: 'dodge', // 'dodge', 'burn' or 'erase'
   brushSize: 20, // percentage of image size
   brushFeather: 10, // percentage of brush size
   isDrawing: false,
@@ -468,7 +1828,9 @@ const DarkroomSimulator = {
   lastY: 0,
   resizeTimeout: null,
   paintingHandlersAttached: false,
-  brushFlow: 0.01,  // lower = gentler build-up
+  isCropToolActive: false,
+  _cropDrag: null, // { startX, startY, x, y } while panning the crop
+  brushFlow: 0.01,  // lower = gentler build-up (brush-flow slider is in tenths of a percent)
 
   // --- FAST PATH state ---
   workCanvas: null,
@@ -486,7 +1848,12 @@ const DarkroomSimulator = {
   _resultImageData: null,
   _brushCanvas: null,
   _brushStamp: null,
+  lastDynamics: null, // Pen size/flow scaling of the previous stroke sample
   _maskRect: null,
+  testStrip: defaultTestStrip(),
+  isTestStripActive: false, // While on, the result shows a test strip instead of the exposure stack
+  imageLayout: 'side-by-side', // One of IMAGE_LAYOUTS
+  activeView: 'negative', // Which view is shown in the tabbed layout: 'negative' or 'result'
   _setupMaskRAF: null,
   _setupMaskDebounce: null,
   _setupMaskLastExposureId: null,
@@ -500,6 +1867,10 @@ const DarkroomSimulator = {
       baseExposure: 16,     // seconds for a "normal" midtone
       Dmin: 0.06,           // paper white (base + fog)
       Dmax: 2.05,           // deep black
+      threshold: 0.6,       // inertia: minimum exposure (s at full light) to start forming an image
+      // Optional { onset, exponent, intermittency }: reciprocity failure past `onset` seconds and
+      // speed lost per earlier exposure on an area (off for the built-in papers)
+      reciprocity: null,
       // Per-grade curve + speed hints (0=00 ... 11=5)
       gradeParams: [
         { k: 2.2, speedShiftStops: 0.0 }, // 00
@@ -529,6 +1900,8 @@ const DarkroomSimulator = {
       baseExposure: 16,
       Dmin: 0.06,
       Dmax: 2.10,
+      threshold: 0.5,
+      reciprocity: null,
       gradeParams: [
         { k: 2.3, speedShiftStops: 0.0 }, { k: 2.6, speedShiftStops: 0.0 },
         { k: 3.0, speedShiftStops: 0.0 }, { k: 3.4, speedShiftStops: 0.0 },
@@ -550,6 +1923,8 @@ const DarkroomSimulator = {
       baseExposure: 16,
       Dmin: 0.06,
       Dmax: 1.95,
+      threshold: 0.8,
+      reciprocity: null,
       gradeParams: [
         { k: 2.0, speedShiftStops: 0.0 }, { k: 2.3, speedShiftStops: 0.0 },
         { k: 2.7, speedShiftStops: 0.0 }, { k: 3.1, speedShiftStops: 0.0 },
@@ -571,6 +1946,8 @@ const DarkroomSimulator = {
       baseExposure: 16,
       Dmin: 0.06,
       Dmax: 2.20,
+      threshold: 0.7,
+      reciprocity: null,
       gradeParams: [
         { k: 2.4, speedShiftStops: 0.0 }, { k: 2.8, speedShiftStops: 0.0 },
         { k: 3.2, speedShiftStops: 0.0 }, { k: 3.7, speedShiftStops: 0.0 },
@@ -606,6 +1983,9 @@ const DarkroomSimulator = {
       if (engine.available()) {
         engine.initProgram();
         this.gpu = engine;
+        if (!engine.floatTargets) {
+          console.warn('Float render targets not available: latent-image accumulation is disabled.');
+        }
       } else {
         console.warn('WebGL2 not available. This application requires WebGL2 support.');
         alert('This application requires WebGL2 support, which is not available in your browser.');
@@ -614,10 +1994,15 @@ const DarkroomSimulator = {
 
     this.negativeImageEl = document.getElementById('negative-image');
     this.setupEventListeners();
+    this.updateImageLayout();
     if (this.exposures.length === 0 && !this.loadingProjectData) this.addExposure();
 
-    // Check for URL parameters
-    this.checkUrlParameters();
+    // Custom paper profiles must be known before a project refers to one
+    this.populatePaperSelect();
+    this.populateEnlargerSelect();
+    this.restoreAccumulation(this.accumulation);
+    this.restoreIllumination(this.illumination);
+    this.loadCustomPapers().finally(() => this.checkUrlParameters());
 
     // Set initialized flag
     this.initialized = true;
@@ -626,33 +2011,64 @@ const DarkroomSimulator = {
     this.updateUndoRedoButtons();
   },
 
+  // Deep copy of an exposure (including its mask) for the undo/redo stacks
+  copyExposure: function(exposure) {
+    const exposureCopy = {
+      id: exposure.id,
+      time: exposure.time,
+      grade: exposure.grade,
+      type: exposure.type || 'print',
+      maskMode: exposure.maskMode || 'dodge',
+      splitPair: exposure.splitPair || null,
+      splitRole: exposure.splitRole || null,
+      filtration: exposure.filtration ? { ...exposure.filtration } : null
+    };
+
+    if (exposure.maskData) {
+      exposureCopy.maskData = new ImageData(
+        new Uint8ClampedArray(exposure.maskData.data),
+        exposure.maskData.width,
+        exposure.maskData.height
+      );
+    }
+
+    return exposureCopy;
+  },
+
+  // Deep copy of the toning settings (including the bleach mask)
+  copyToning: function(toning) {
+    const toningCopy = {};
+    TONERS.forEach(t => { toningCopy[t.id] = { ...toning[t.id] }; });
+
+    const maskData = toning.bleach.maskData;
+    if (maskData) {
+      toningCopy.bleach.maskData = new ImageData(
+        new Uint8ClampedArray(maskData.data),
+        maskData.width,
+        maskData.height
+      );
+    }
+
+    return toningCopy;
+  },
+
   // History management functions
   saveState: function() {
     // Create a deep copy of the exposures array
-    const exposuresCopy = this.exposures.map(exposure => {
-      // Create a deep copy of the exposure object
-      const exposureCopy = {
-        id: exposure.id,
-        time: exposure.time,
-        grade: exposure.grade
-      };
-
-      // If the exposure has mask data, create a deep copy of it
-      if (exposure.maskData) {
-        exposureCopy.maskData = new ImageData(
-          new Uint8ClampedArray(exposure.maskData.data),
-          exposure.maskData.width,
-          exposure.maskData.height
-        );
-      }
-
-      return exposureCopy;
-    });
+    const exposuresCopy = this.exposures.map(exposure => this.copyExposure(exposure));
 
     // Save the state
     this.history.push({
       exposures: exposuresCopy,
       paperType: this.paperType,
+      crop: { ...this.crop },
+      inputType: this.inputType,
+      negativeProfile: { ...this.negativeProfile },
+      timing: { ...this.timing },
+      enlarger: this.enlarger,
+      accumulation: this.accumulation,
+      illumination: copyIllumination(this.illumination),
+      toning: this.copyToning(this.toning),
       selectedExposureId: this.selectedExposureId
     });
 
@@ -673,24 +2089,16 @@ const DarkroomSimulator = {
 
     // Get the current state before undoing
     const currentState = {
-      exposures: this.exposures.map(exposure => {
-        const exposureCopy = {
-          id: exposure.id,
-          time: exposure.time,
-          grade: exposure.grade
-        };
-
-        if (exposure.maskData) {
-          exposureCopy.maskData = new ImageData(
-            new Uint8ClampedArray(exposure.maskData.data),
-            exposure.maskData.width,
-            exposure.maskData.height
-          );
-        }
-
-        return exposureCopy;
-      }),
+      exposures: this.exposures.map(exposure => this.copyExposure(exposure)),
       paperType: this.paperType,
+      crop: { ...this.crop },
+      inputType: this.inputType,
+      negativeProfile: { ...this.negativeProfile },
+      timing: { ...this.timing },
+      enlarger: this.enlarger,
+      accumulation: this.accumulation,
+      illumination: copyIllumination(this.illumination),
+      toning: this.copyToning(this.toning),
       selectedExposureId: this.selectedExposureId
     };
 
@@ -700,8 +2108,8 @@ const DarkroomSimulator = {
     // Get the previous state
     const previousState = this.history.pop();
 
-    // Restore paper type
-    this.paperType = previousState.paperType;
+    // Restore paper type (unless it has been deleted since)
+    if (this.papers[previousState.paperType]) this.paperType = previousState.paperType;
     const paperTypeSelect = document.getElementById('paper-type');
     if (paperTypeSelect) {
       paperTypeSelect.value = this.paperType;
@@ -714,23 +2122,19 @@ const DarkroomSimulator = {
     }
 
     // Restore the exposures array
-    this.exposures = previousState.exposures.map(exposure => {
-      const exposureCopy = {
-        id: exposure.id,
-        time: exposure.time,
-        grade: exposure.grade
-      };
+    this.exposures = previousState.exposures.map(exposure => this.copyExposure(exposure));
 
-      if (exposure.maskData) {
-        exposureCopy.maskData = new ImageData(
-          new Uint8ClampedArray(exposure.maskData.data),
-          exposure.maskData.width,
-          exposure.maskData.height
-        );
-      }
+    // Restore the crop and input type (the restored masks already match them)
+    this.restoreImageSettings(previousState.crop, previousState.inputType);
 
-      return exposureCopy;
-    });
+    // Restore toning
+    this.toning = this.copyToning(previousState.toning);
+    this.restoreNegativeProfile(previousState.negativeProfile);
+    this.restoreTiming(previousState.timing);
+    this.restoreEnlarger(previousState.enlarger);
+    this.restoreAccumulation(previousState.accumulation);
+    this.restoreIllumination(previousState.illumination);
+    this.updateToningControls();
 
     // Rebuild the exposures UI
     this.exposures.forEach(exposure => {
@@ -741,31 +2145,11 @@ const DarkroomSimulator = {
       exposureItem.classList.remove('hidden');
 
       // Set the initial values for time and grade
-      const timeSelect = exposureItem.querySelector('.exposure-time');
-      if (timeSelect) {
-        timeSelect.value = exposure.time;
-      }
+      this.updateExposureTimeDisplay(exposureItem, exposure);
 
-      const gradeSelect = exposureItem.querySelector('.exposure-grade');
-      if (gradeSelect) {
-        gradeSelect.value = exposure.grade;
-      }
+      this.updateGradeDisplay(exposureItem, exposure.grade);
 
-      const gradeDisplay = exposureItem.querySelector('.grade-display');
-      if (gradeDisplay) {
-        // Remove all grade classes
-        for (let i = 0; i <= 11; i++) {
-          gradeDisplay.classList.remove(`grade-${i}`);
-        }
-        // Add the correct grade class
-        gradeDisplay.classList.add(`grade-${exposure.grade}`);
-
-        // Set the text content based on the grade
-        const gradeOption = document.querySelector(`.grade-option[data-value="${exposure.grade}"]`);
-        if (gradeOption) {
-          gradeDisplay.textContent = gradeOption.textContent;
-        }
-      }
+      this.updateExposureIndicators(exposureItem, exposure);
 
       // Add event listeners to the exposure controls
       this.setupExposureControls(exposureItem, exposure.id);
@@ -776,7 +2160,7 @@ const DarkroomSimulator = {
       // Initialize the dodge mask preview
       const previewCanvas = exposureItem.querySelector('.dodge-mask-preview');
       if (previewCanvas && exposure.maskData) {
-        this.updateDodgeMaskPreview(previewCanvas, exposure.maskData);
+        this.updateDodgeMaskPreview(previewCanvas, exposure.maskData, exposure.maskMode);
       }
     });
 
@@ -790,6 +2174,9 @@ const DarkroomSimulator = {
       this.selectExposure(this.exposures[0].id);
     }
 
+    // The selection may be unchanged while its pair was not
+    this.updateSplitGradePanel();
+
     // Process the image with the updated exposures
     this.markDirty();
     this.requestProcess();
@@ -803,24 +2190,16 @@ const DarkroomSimulator = {
 
     // Get the current state before redoing
     const currentState = {
-      exposures: this.exposures.map(exposure => {
-        const exposureCopy = {
-          id: exposure.id,
-          time: exposure.time,
-          grade: exposure.grade
-        };
-
-        if (exposure.maskData) {
-          exposureCopy.maskData = new ImageData(
-            new Uint8ClampedArray(exposure.maskData.data),
-            exposure.maskData.width,
-            exposure.maskData.height
-          );
-        }
-
-        return exposureCopy;
-      }),
+      exposures: this.exposures.map(exposure => this.copyExposure(exposure)),
       paperType: this.paperType,
+      crop: { ...this.crop },
+      inputType: this.inputType,
+      negativeProfile: { ...this.negativeProfile },
+      timing: { ...this.timing },
+      enlarger: this.enlarger,
+      accumulation: this.accumulation,
+      illumination: copyIllumination(this.illumination),
+      toning: this.copyToning(this.toning),
       selectedExposureId: this.selectedExposureId
     };
 
@@ -830,8 +2209,8 @@ const DarkroomSimulator = {
     // Get the next state
     const nextState = this.redoStack.pop();
 
-    // Restore paper type
-    this.paperType = nextState.paperType;
+    // Restore paper type (unless it has been deleted since)
+    if (this.papers[nextState.paperType]) this.paperType = nextState.paperType;
     const paperTypeSelect = document.getElementById('paper-type');
     if (paperTypeSelect) {
       paperTypeSelect.value = this.paperType;
@@ -844,23 +2223,19 @@ const DarkroomSimulator = {
     }
 
     // Restore the exposures array
-    this.exposures = nextState.exposures.map(exposure => {
-      const exposureCopy = {
-        id: exposure.id,
-        time: exposure.time,
-        grade: exposure.grade
-      };
+    this.exposures = nextState.exposures.map(exposure => this.copyExposure(exposure));
 
-      if (exposure.maskData) {
-        exposureCopy.maskData = new ImageData(
-          new Uint8ClampedArray(exposure.maskData.data),
-          exposure.maskData.width,
-          exposure.maskData.height
-        );
-      }
+    // Restore the crop and input type (the restored masks already match them)
+    this.restoreImageSettings(nextState.crop, nextState.inputType);
 
-      return exposureCopy;
-    });
+    // Restore toning
+    this.toning = this.copyToning(nextState.toning);
+    this.restoreNegativeProfile(nextState.negativeProfile);
+    this.restoreTiming(nextState.timing);
+    this.restoreEnlarger(nextState.enlarger);
+    this.restoreAccumulation(nextState.accumulation);
+    this.restoreIllumination(nextState.illumination);
+    this.updateToningControls();
 
     // Rebuild the exposures UI
     this.exposures.forEach(exposure => {
@@ -871,31 +2246,11 @@ const DarkroomSimulator = {
       exposureItem.classList.remove('hidden');
 
       // Set the initial values for time and grade
-      const timeSelect = exposureItem.querySelector('.exposure-time');
-      if (timeSelect) {
-        timeSelect.value = exposure.time;
-      }
+      this.updateExposureTimeDisplay(exposureItem, exposure);
 
-      const gradeSelect = exposureItem.querySelector('.exposure-grade');
-      if (gradeSelect) {
-        gradeSelect.value = exposure.grade;
-      }
+      this.updateGradeDisplay(exposureItem, exposure.grade);
 
-      const gradeDisplay = exposureItem.querySelector('.grade-display');
-      if (gradeDisplay) {
-        // Remove all grade classes
-        for (let i = 0; i <= 11; i++) {
-          gradeDisplay.classList.remove(`grade-${i}`);
-        }
-        // Add the correct grade class
-        gradeDisplay.classList.add(`grade-${exposure.grade}`);
-
-        // Set the text content based on the grade
-        const gradeOption = document.querySelector(`.grade-option[data-value="${exposure.grade}"]`);
-        if (gradeOption) {
-          gradeDisplay.textContent = gradeOption.textContent;
-        }
-      }
+      this.updateExposureIndicators(exposureItem, exposure);
 
       // Add event listeners to the exposure controls
       this.setupExposureControls(exposureItem, exposure.id);
@@ -906,7 +2261,7 @@ const DarkroomSimulator = {
       // Initialize the dodge mask preview
       const previewCanvas = exposureItem.querySelector('.dodge-mask-preview');
       if (previewCanvas && exposure.maskData) {
-        this.updateDodgeMaskPreview(previewCanvas, exposure.maskData);
+        this.updateDodgeMaskPreview(previewCanvas, exposure.maskData, exposure.maskMode);
       }
     });
 
@@ -920,6 +2275,9 @@ const DarkroomSimulator = {
       this.selectExposure(this.exposures[0].id);
     }
 
+    // The selection may be unchanged while its pair was not
+    this.updateSplitGradePanel();
+
     // Process the image with the updated exposures
     this.markDirty();
     this.requestProcess();
@@ -963,15 +2321,99 @@ const DarkroomSimulator = {
 
     // Paper selection
     document.getElementById('paper-type').addEventListener('change', (e) => {
-      // Save state before changing paper type
-      this.saveState();
-
-      this.paperType = e.target.value;
       // Automatically process image when paper type changes
-      if (this.negativeImage) {
-        this.markDirty();               // ADD
-        this.requestProcess();
+      this.selectPaper(e.target.value);
+    });
+
+    // Paper profile editor
+    document.getElementById('edit-paper').addEventListener('click', () => this.openPaperEditor());
+    document.getElementById('paper-editor').addEventListener('input', () => this.updatePaperEditorPreview());
+    document.getElementById('paper-save').addEventListener('click', () => this.savePaperFromEditor());
+    document.getElementById('paper-delete').addEventListener('click', () => this.deleteCustomPaper());
+    document.getElementById('paper-export').addEventListener('click', () => this.exportPaperProfile());
+    document.getElementById('paper-import').addEventListener('change', (e) => {
+      if (e.target.files[0]) this.importPaperProfile(e.target.files[0]);
+      e.target.value = '';
+    });
+
+    // Step wedge calibration
+    document.getElementById('calibrate-paper').addEventListener('click', () => this.openCalibration());
+    document.getElementById('calibration-analyse').addEventListener('click', () => this.analyseStepWedge());
+    document.getElementById('calibration-create').addEventListener('click', () => this.createCalibratedPaper());
+
+    document.getElementById('input-type').addEventListener('change', (e) => {
+      this.setInputType(e.target.value);
+    });
+
+    // Negative profile: base+fog and density range of the film
+    document.getElementById('negative-profile-enabled').addEventListener('change', (e) => {
+      this.setNegativeProfile({ enabled: e.target.checked });
+    });
+    document.getElementById('negative-base-fog').addEventListener('change', (e) => {
+      const baseFog = parseFloat(e.target.value);
+      if (!isNaN(baseFog)) this.setNegativeProfile({ baseFog: Math.max(0, Math.min(1.5, baseFog)) });
+    });
+    document.getElementById('negative-density-range').addEventListener('change', (e) => {
+      const densityRange = parseFloat(e.target.value);
+      if (!isNaN(densityRange)) this.setNegativeProfile({ densityRange: Math.max(0.1, Math.min(3, densityRange)) });
+    });
+
+    // f-stop timing: switching on takes the first print exposure as the base
+    document.getElementById('fstop-timing').addEventListener('change', (e) => {
+      if (!e.target.checked) {
+        this.setTiming({ mode: 'seconds' });
+        return;
       }
+      const base = this.exposures.find(exp => exp.type !== 'flash');
+      this.setTiming({ mode: 'fstop', baseTime: base ? parseFloat(base.time) : this.timing.baseTime });
+    });
+    document.getElementById('fstop-base').addEventListener('change', (e) => {
+      const baseTime = parseFloat(e.target.value);
+      if (baseTime > 0) {
+        this.setTiming({ baseTime });
+      } else {
+        e.target.value = this.timing.baseTime;
+      }
+    });
+    document.getElementById('fstop-step').addEventListener('change', (e) => {
+      this.setTiming({ stepDenominator: parseInt(e.target.value, 10) });
+    });
+
+    // Grade filters or a colour head set in yellow/magenta units
+    document.getElementById('enlarger-profile').addEventListener('change', (e) => {
+      this.setEnlarger(e.target.value || null);
+    });
+
+    // Add exposures as light per emulsion component instead of as density
+    document.getElementById('latent-accumulation').addEventListener('change', (e) => {
+      this.setAccumulation(e.target.checked ? 'latent' : 'density');
+    });
+
+    // Enlarger illumination: falloff by aperture, light-source pattern and lens softness
+    document.getElementById('illumination-enabled').addEventListener('change', (e) => {
+      this.setIllumination({ enabled: e.target.checked });
+    });
+    document.getElementById('illumination-aperture').addEventListener('change', (e) => {
+      this.setIllumination({ aperture: parseFloat(e.target.value) });
+    });
+    document.getElementById('illumination-falloff').addEventListener('change', (e) => {
+      const stops = parseFloat(e.target.value);
+      const i = APERTURES.indexOf(this.illumination.aperture);
+      if (isNaN(stops) || i < 0) return;
+      const falloff = [...this.illumination.falloff];
+      falloff[i] = Math.max(0, Math.min(3, stops));
+      this.setIllumination({ falloff });
+    });
+    document.getElementById('illumination-pattern').addEventListener('change', (e) => {
+      this.setIllumination({ pattern: e.target.value });
+    });
+    document.getElementById('illumination-pattern-strength').addEventListener('change', (e) => {
+      const patternStrength = parseFloat(e.target.value);
+      if (!isNaN(patternStrength)) this.setIllumination({ patternStrength: Math.max(0, Math.min(2, patternStrength)) });
+    });
+    document.getElementById('illumination-softness').addEventListener('change', (e) => {
+      const softness = parseFloat(e.target.value);
+      if (!isNaN(softness)) this.setIllumination({ softness: Math.max(0, Math.min(2, softness)) });
     });
 
     // Add exposure button
@@ -981,23 +2423,186 @@ const DarkroomSimulator = {
       this.addExposure();
     });
 
+    // Add flash button
+    document.getElementById('add-flash').addEventListener('click', () => {
+      // Save state before adding the flash
+      this.saveState();
+      this.addExposure('flash');
+    });
+
+    // Add split-grade pair button
+    document.getElementById('add-split-grade').addEventListener('click', () => {
+      this.saveState();
+      this.addSplitGradePair();
+    });
+
+    // Split-grade panel: each control rewrites both times of the selected pair
+    const splitControls = {
+      'split-soft-time': (value, pair) => ({ soft: value, hard: pair.hard.time }),
+      'split-hard-time': (value, pair) => ({ soft: pair.soft.time, hard: value }),
+      'split-total-time': (value, pair) => splitTimes(value, splitBalance(pair.soft.time, pair.hard.time)),
+      'split-balance': (value, pair) => splitTimes(pair.soft.time + pair.hard.time, value / 100)
+    };
+    Object.entries(splitControls).forEach(([id, times]) => {
+      const input = document.getElementById(id);
+      input?.addEventListener('input', () => {
+        const pair = this.splitPairOf(this.exposures.find(exp => exp.id === this.selectedExposureId));
+        if (!pair) return;
+
+        // One history entry per drag/edit of a control
+        if (!this._splitEditStarted) {
+          this.saveState();
+          this._splitEditStarted = true;
+        }
+        this.setSplitGradeTimes(pair, times(Math.max(0, parseFloat(input.value) || 0), pair));
+      });
+      input?.addEventListener('change', () => {
+        this._splitEditStarted = false;
+        this.updateSplitGradePanel();
+      });
+    });
+
     // Process image is now automatic when exposures or paper change
 
     // Mask tool buttons
     document.getElementById('dodge-tool').addEventListener('click', () => {
       this.activeTool = 'dodge';
       this.isMaskToolActive = true;
+      this.isCropToolActive = false;
       this.updateToolButtons();
       this.makeBrushStamp(); // ADD
     });
 
+    document.getElementById('burn-tool').addEventListener('click', () => {
+      this.activeTool = 'burn';
+      this.isMaskToolActive = true;
+      this.isCropToolActive = false;
+      this.updateToolButtons();
+      this.makeBrushStamp();
+    });
+
     document.getElementById('erase-tool').addEventListener('click', () => {
       this.activeTool = 'erase';
       this.isMaskToolActive = true;
+      this.isCropToolActive = false;
       this.updateToolButtons();
       this.makeBrushStamp(); // ADD
     });
 
+    // Crop tool: while active, dragging on the negative pans the crop instead of painting
+    document.getElementById('crop-tool').addEventListener('click', () => {
+      this.isCropToolActive = !this.isCropToolActive;
+      if (this.isCropToolActive) this.isMaskToolActive = false;
+      this.updateToolButtons();
+      this.drawPreviewCircles(null, null);
+    });
+
+    // Export the print into the prints/ subfolder of the source folder
+    document.getElementById('export-print').addEventListener('click', () => {
+      this.exportPrint(document.getElementById('export-format').value);
+    });
+
+    // Test strip mode
+    document.getElementById('test-strip-tool').addEventListener('click', () => {
+      this.isTestStripActive = !this.isTestStripActive;
+      this.updateToolButtons();
+      this.markDirty();
+      this.requestProcess();
+    });
+
+    const stripInputs = {
+      'strip-base-time': (value) => ({ baseTime: Math.max(0.1, parseFloat(value) || 0.1) }),
+      'strip-step': (value) => ({ stepStops: parseFloat(value) }),
+      'strip-count': (value) => ({ count: Math.max(2, Math.min(12, parseInt(value, 10) || 2)) }),
+      'strip-orientation': (value) => ({ orientation: value })
+    };
+    Object.entries(stripInputs).forEach(([id, parse]) => {
+      document.getElementById(id).addEventListener('change', (e) => {
+        Object.assign(this.testStrip, parse(e.target.value));
+        this.updateTestStripControls();
+        this.markDirty();
+        this.requestProcess();
+      });
+    });
+
+    document.getElementById('crop-aspect').addEventListener('change', (e) => {
+      this.setCrop({ aspect: e.target.value });
+    });
+
+    document.getElementById('crop-angle').addEventListener('change', (e) => {
+      this.setCrop({ angle: parseFloat(e.target.value) });
+    });
+
+    document.getElementById('crop-size').addEventListener('change', (e) => {
+      this.setCrop({ size: parseInt(e.target.value, 10) / 100 });
+    });
+
+    // 90° steps also turn the crop centre with the frame
+    document.getElementById('rotate-left').addEventListener('click', () => {
+      this.setCrop({
+        quarterTurns: (this.crop.quarterTurns + 3) % 4,
+        cx: this.crop.cy,
+        cy: 1 - this.crop.cx
+      });
+    });
+
+    document.getElementById('rotate-right').addEventListener('click', () => {
+      this.setCrop({
+        quarterTurns: (this.crop.quarterTurns + 1) % 4,
+        cx: 1 - this.crop.cy,
+        cy: this.crop.cx
+      });
+    });
+
+    // Toning baths: strength and time per toner
+    document.querySelectorAll('.toning-row').forEach(row => {
+      const step = () => this.toning[row.dataset.toner];
+
+      const onInput = (apply) => (e) => {
+        // One history entry per drag/edit of a control
+        if (!this._toningEditStarted) {
+          this.saveState();
+          this._toningEditStarted = true;
+        }
+        apply(e.target);
+        this.markDirty();
+        this.requestProcess();
+      };
+      const onChange = () => { this._toningEditStarted = false; };
+
+      const strengthInput = row.querySelector('.toner-strength');
+      strengthInput?.addEventListener('input', onInput(el => { step().strength = parseFloat(el.value) || 0; }));
+      strengthInput?.addEventListener('change', onChange);
+
+      const timeInput = row.querySelector('.toner-time');
+      timeInput?.addEventListener('input', onInput(el => { step().time = Math.max(0, parseFloat(el.value) || 0); }));
+      timeInput?.addEventListener('change', onChange);
+    });
+
+    document.getElementById('bleach-local').addEventListener('change', (e) => {
+      this.saveState();
+      this.toning.bleach.local = e.target.checked;
+      this.markDirty();
+      this.requestProcess();
+    });
+
+    // Switch the brush between the selected exposure and the local bleach mask
+    document.getElementById('paint-bleach').addEventListener('click', () => {
+      if (this.maskTarget === 'bleach') {
+        this.maskTarget = null;
+      } else {
+        this.maskTarget = 'bleach';
+        if (!this.toning.bleach.local) {
+          this.saveState();
+          this.toning.bleach.local = true;
+          this.markDirty();
+          this.requestProcess();
+        }
+      }
+      this.updateToningControls();
+      if (this.negativeImage) this.setupMaskCanvas();
+    });
+
     document.getElementById('clear-mask').addEventListener('click', () => {
       this.clearMask();
       this.requestProcess();
@@ -1056,6 +2661,11 @@ const DarkroomSimulator = {
       this.makeBrushStamp(); // ADD
     });
 
+    document.getElementById('brush-flow').addEventListener('input', (e) => {
+      this.brushFlow = parseInt(e.target.value) / 1000;
+      this.makeBrushStamp();
+    });
+
     // Window resize handler
     window.addEventListener('resize', () => {
       if (this.resizeTimeout) {
@@ -1063,12 +2673,19 @@ const DarkroomSimulator = {
       }
       this._maskRect = null; // invalidate on resize
       this.resizeTimeout = setTimeout(() => {
+        this.updateImageLayout();
         if (this.negativeImage) {
           this.setupMaskCanvas();
         }
+        this.drawTestStripLabels();
       }, 200);
     });
 
+    // Negative/result tabs (tabbed layout only)
+    document.querySelectorAll('.view-tab').forEach(tab => {
+      tab.addEventListener('click', () => this.showView(tab.dataset.view));
+    });
+
     // ADD: one delegated listener for all grade menus
     document.addEventListener('click', (e) => {
       // toggle open on grade-display
@@ -1092,23 +2709,14 @@ const DarkroomSimulator = {
 
         // Save state before changing grade
         this.saveState();
-
-        exposure.grade = parseInt(gradeValue, 10);
-
-        const gradeSelect = item.querySelector('.exposure-grade');
-        const gradeDisplay = item.querySelector('.grade-display');
-        if (gradeSelect) gradeSelect.value = gradeValue;
-        if (gradeDisplay) {
-          gradeDisplay.className = `grade-display grade-${gradeValue}`;
-          gradeDisplay.textContent = option.textContent;
-        }
+        this.setExposureGrade(exposure, parseFloat(gradeValue));
         item.querySelector('.grade-options')?.classList.remove('show');
-
-        this.markDirty();               // ADD
-        this.requestProcess();
         return;
       }
 
+      // the fine grade entry inside an open menu keeps it open
+      if (e.target.closest('.grade-options')) return;
+
       // clicking outside closes any open menus
       document.querySelectorAll('.grade-options.show')
         .forEach(el => el.classList.remove('show'));
@@ -1119,7 +2727,7 @@ const DarkroomSimulator = {
     if (exposuresListEl) {
       exposuresListEl.addEventListener('click', (e) => {
         // Ignore clicks on controls
-        if (e.target.closest('button, select, .grade-options')) return;
+        if (e.target.closest('button, select, input, .grade-options')) return;
 
         const item = e.target.closest('.exposure-item');
         if (!item) return;
@@ -1165,11 +2773,18 @@ const DarkroomSimulator = {
       // Get the file from the file handle
       const file = await fileHandle.getFile();
 
-      // Create a URL for the file
-      const imageUrl = URL.createObjectURL(file);
+      // 16-bit TIFF/PNG scans are decoded here at full precision; everything else by the browser
+      const raster = await decodeScan(file);
+      if (raster) {
+        this.originalImage = raster;
+        this.createNegativeImage(raster);
+      } else {
+        // Create a URL for the file
+        const imageUrl = URL.createObjectURL(file);
 
-      // Load the image
-      await this.loadImage(imageUrl);
+        // Load the image
+        await this.loadImage(imageUrl);
+      }
 
       // Store the current file handle
       currentFileHandle = fileHandle;
@@ -1207,45 +2822,48 @@ const DarkroomSimulator = {
     }
 
     try {
-      // First try to load the binary format (.ddr)
-      const binaryFileName = currentFileHandle.name.substring(0, currentFileHandle.name.lastIndexOf('.')) + '.ddr';
-
-      try {
-        const binaryFileHandle = await directoryHandle.getFileHandle(binaryFileName);
-        const file = await binaryFileHandle.getFile();
-        const buffer = await file.arrayBuffer();
+      // First try to load the binary format (.ddr), under the current sidecar name and then the old one
+      for (const binaryFileName of sidecarNames(currentFileHandle.name, '.ddr')) {
+        try {
+          const binaryFileHandle = await directoryHandle.getFileHandle(binaryFileName);
+          const file = await binaryFileHandle.getFile();
+          const buffer = await file.arrayBuffer();
 
-        // Parse the binary data
-        const projectData = this.parseBinaryProjectData(buffer);
+          // Parse the binary data
+          const projectData = this.parseBinaryProjectData(buffer);
 
-        if (projectData) {
-          // Apply the project data
-          this.applyProjectData(projectData);
-          return; // Successfully loaded binary data, no need to try JSON
+          if (projectData) {
+            // Apply the project data
+            this.applyProjectData(projectData);
+            return; // Successfully loaded binary data, no need to try JSON
+          }
+        } catch (binaryError) {
+          console.log(`No binary project data in ${binaryFileName}`);
         }
-      } catch (binaryError) {
-        console.log('No binary project data found, trying JSON format...');
       }
 
       // Fall back to JSON format if binary format fails or doesn't exist
-      const jsonFileName = currentFileHandle.name.substring(0, currentFileHandle.name.lastIndexOf('.')) + '.json';
-
-      try {
-        const jsonFileHandle = await directoryHandle.getFileHandle(jsonFileName);
-        const file = await jsonFileHandle.getFile();
-        const text = await file.text();
-        const projectData = JSON.parse(text);
+      for (const jsonFileName of sidecarNames(currentFileHandle.name, '.json')) {
+        try {
+          const jsonFileHandle = await directoryHandle.getFileHandle(jsonFileName);
+          const file = await jsonFileHandle.getFile();
+          const text = await file.text();
+          const projectData = JSON.parse(text);
 
-        // Apply the project data
-        this.applyProjectData(projectData);
+          // Apply the project data
+          this.applyProjectData(projectData);
 
-        // If we successfully loaded from JSON, save in binary format for next time
-        console.log('Project data loaded from JSON. Converting to binary format for future use.');
-        this.saveProjectData();
-      } catch (jsonError) {
-        // Neither binary nor JSON file exists or can be read, which is fine for new images
-        console.log('No project data found for this image');
+          // If we successfully loaded from JSON, save in binary format for next time
+          console.log('Project data loaded from JSON. Converting to binary format for future use.');
+          this.saveProjectData();
+          return;
+        } catch (jsonError) {
+          // Not under this name; try the next
+        }
       }
+
+      // Neither binary nor JSON file exists or can be read, which is fine for new images
+      console.log('No project data found for this image');
     } catch (error) {
       console.error('Error loading project data:', error);
     }
@@ -1270,7 +2888,13 @@ const DarkroomSimulator = {
       const version = view.getUint32(offset, true);
       offset += 4;
 
-      if (version !== 1) {
+      // Version 2 added the per-exposure mask mode (dodge/burn), version 3 the crop,
+      // version 4 the exposure type (print/flash), version 5 toning, version 6 the input type,
+      // version 7 the negative profile, version 8 the per-exposure split-grade pair,
+      // version 9 the timing mode (seconds or f-stops), version 10 the enlarger and per-exposure filtration,
+      // version 11 fractional grades (float64 instead of int32), version 12 the accumulation mode,
+      // version 13 the enlarger illumination
+      if (version < 1 || version > 13) {
         console.error(`Unsupported binary project data version: ${version}`);
         return null;
       }
@@ -1284,6 +2908,113 @@ const DarkroomSimulator = {
 
       const paperType = new TextDecoder().decode(paperTypeBytes);
 
+      // Read crop
+      const crop = defaultCrop();
+      if (version >= 3) {
+        const aspectLength = view.getUint32(offset, true);
+        offset += 4;
+        crop.aspect = new TextDecoder().decode(new Uint8Array(buffer, offset, aspectLength));
+        offset += aspectLength;
+
+        crop.angle = view.getFloat64(offset, true);
+        offset += 8;
+        crop.quarterTurns = view.getUint8(offset++);
+        crop.cx = view.getFloat64(offset, true);
+        offset += 8;
+        crop.cy = view.getFloat64(offset, true);
+        offset += 8;
+        crop.size = view.getFloat64(offset, true);
+        offset += 8;
+      }
+
+      // Read input type (index into INPUT_TYPES); older projects were always positives
+      let inputType = 'positive';
+      if (version >= 6) {
+        inputType = INPUT_TYPES[view.getUint8(offset++)] || 'positive';
+      }
+
+      // Read negative profile: enabled flag, base+fog and density range
+      const negativeProfile = defaultNegativeProfile();
+      if (version >= 7) {
+        negativeProfile.enabled = view.getUint8(offset++) === 1;
+        negativeProfile.baseFog = view.getFloat64(offset, true);
+        offset += 8;
+        negativeProfile.densityRange = view.getFloat64(offset, true);
+        offset += 8;
+      }
+
+      // Read timing: mode (0 = seconds, 1 = f-stops), base time (8 bytes), step denominator (1 byte)
+      const timing = defaultTiming();
+      if (version >= 9) {
+        timing.mode = view.getUint8(offset++) === 1 ? 'fstop' : 'seconds';
+        const baseTime = view.getFloat64(offset, true);
+        offset += 8;
+        if (baseTime > 0) timing.baseTime = baseTime;
+        const stepDenominator = view.getUint8(offset++);
+        if (FSTOP_STEPS.includes(stepDenominator)) timing.stepDenominator = stepDenominator;
+      }
+
+      // Read enlarger (string length + string data, empty for grade filters)
+      let enlarger = null;
+      if (version >= 10) {
+        const enlargerLength = view.getUint32(offset, true);
+        offset += 4;
+        enlarger = new TextDecoder().decode(new Uint8Array(buffer, offset, enlargerLength)) || null;
+        offset += enlargerLength;
+      }
+
+      // Read accumulation mode (index into ACCUMULATION_MODES); older projects added densities
+      let accumulation = 'density';
+      if (version >= 12) {
+        accumulation = ACCUMULATION_MODES[view.getUint8(offset++)] || 'density';
+      }
+
+      // Read illumination: enabled flag, aperture, corner falloff per aperture (count + float64 each),
+      // pattern (index into LIGHT_PATTERNS), pattern strength and softness
+      const illumination = defaultIllumination();
+      if (version >= 13) {
+        illumination.enabled = view.getUint8(offset++) === 1;
+        illumination.aperture = view.getFloat64(offset, true);
+        offset += 8;
+        const falloffCount = view.getUint8(offset++);
+        for (let i = 0; i < falloffCount; i++) {
+          const stops = view.getFloat64(offset, true);
+          offset += 8;
+          if (i < APERTURES.length) illumination.falloff[i] = stops;
+        }
+        illumination.pattern = LIGHT_PATTERNS[view.getUint8(offset++)] || 'even';
+        illumination.patternStrength = view.getFloat64(offset, true);
+        offset += 8;
+        illumination.softness = view.getFloat64(offset, true);
+        offset += 8;
+      }
+
+      // Read toning: strength and time per bath, then the bleach's local flag and mask
+      const toning = defaultToning();
+      if (version >= 5) {
+        for (const t of TONERS) {
+          toning[t.id].strength = view.getFloat64(offset, true);
+          offset += 8;
+          toning[t.id].time = view.getFloat64(offset, true);
+          offset += 8;
+        }
+
+        toning.bleach.local = view.getUint8(offset++) === 1;
+
+        if (view.getUint8(offset++) === 1) {
+          const width = view.getUint32(offset, true);
+          offset += 4;
+          const height = view.getUint32(offset, true);
+          offset += 4;
+          toning.bleach.maskData = {
+            width: width,
+            height: height,
+            data: new Uint8ClampedArray(buffer, offset, width * height * 4)
+          };
+          offset += width * height * 4;
+        }
+      }
+
       // Read number of exposures
       const exposureCount = view.getUint32(offset, true);
       offset += 4;
@@ -1306,8 +3037,46 @@ const DarkroomSimulator = {
         offset += 8;
 
         // Read grade
-        const grade = view.getInt32(offset, true);
-        offset += 4;
+        let grade;
+        if (version >= 11) {
+          grade = view.getFloat64(offset, true);
+          offset += 8;
+        } else {
+          grade = view.getInt32(offset, true);
+          offset += 4;
+        }
+
+        // Read exposure type (0 = print, 1 = flash)
+        let type = 'print';
+        if (version >= 4) {
+          type = view.getUint8(offset++) === 1 ? 'flash' : 'print';
+        }
+
+        // Read mask mode (0 = dodge, 1 = burn)
+        let maskMode = 'dodge';
+        if (version >= 2) {
+          maskMode = view.getUint8(offset++) === 1 ? 'burn' : 'dodge';
+        }
+
+        // Read split-grade role (0 = none, 1 = soft, 2 = hard) and, for a pair member, the pair id
+        let splitRole = null;
+        let splitPair = null;
+        if (version >= 8) {
+          splitRole = SPLIT_ROLES[view.getUint8(offset++)] || null;
+          if (splitRole) {
+            const pairLength = view.getUint32(offset, true);
+            offset += 4;
+            splitPair = new TextDecoder().decode(new Uint8Array(buffer, offset, pairLength));
+            offset += pairLength;
+          }
+        }
+
+        // Read filtration (has filtration flag [+ yellow and magenta, 8 bytes each])
+        let filtration = null;
+        if (version >= 10 && view.getUint8(offset++) === 1) {
+          filtration = { y: view.getFloat64(offset, true), m: view.getFloat64(offset + 8, true) };
+          offset += 16;
+        }
 
         // Read has mask flag
         const hasMask = view.getUint8(offset++) === 1;
@@ -1338,12 +3107,25 @@ const DarkroomSimulator = {
           id: id,
           time: time,
           grade: grade,
-          maskData: maskData
+          type: type,
+          maskMode: maskMode,
+          maskData: maskData,
+          splitPair: splitPair,
+          splitRole: splitRole,
+          filtration: filtration
         });
       }
 
       return {
         paperType: paperType,
+        crop: crop,
+        inputType: inputType,
+        negativeProfile: negativeProfile,
+        timing: timing,
+        enlarger: enlarger,
+        accumulation: accumulation,
+        illumination: illumination,
+        toning: toning,
         exposures: exposures
       };
     } catch (error) {
@@ -1352,92 +3134,648 @@ const DarkroomSimulator = {
     }
   },
 
-  // Apply loaded project data
-  applyProjectData: function(projectData) {
-    if (!projectData) return;
+  // Apply loaded project data
+  applyProjectData: function(projectData) {
+    if (!projectData) return;
+
+    // Set paper type (a custom paper may have been deleted or live in another browser)
+    if (projectData.paperType && this.papers[projectData.paperType]) {
+      this.paperType = projectData.paperType;
+      document.getElementById('paper-type').value = this.paperType;
+    } else if (projectData.paperType) {
+      console.warn(`Paper profile "${projectData.paperType}" not found; keeping ${this.paperType}`);
+    }
+
+    // Set the crop (and input type) before the exposures: their masks were saved on the cropped negative
+    this.restoreImageSettings(projectData.crop, projectData.inputType);
+
+    // Set the negative profile
+    this.restoreNegativeProfile(projectData.negativeProfile);
+
+    // Set the timing mode and enlarger before the exposures show their times and filtration
+    this.restoreTiming(projectData.timing);
+    this.restoreEnlarger(projectData.enlarger);
+    this.restoreAccumulation(projectData.accumulation);
+    this.restoreIllumination(projectData.illumination);
+
+    // Set toning
+    if (projectData.toning) {
+      this.toning = this.copyToning({ ...defaultToning(), ...projectData.toning });
+      this.updateToningControls();
+    }
+
+    // Set exposures
+    if (projectData.exposures && projectData.exposures.length > 0) {
+      // Clear existing exposures
+      this.exposures = [];
+      const exposuresList = document.getElementById('exposures-list');
+      exposuresList.innerHTML = '';
+
+      // Add each exposure from the project data
+      projectData.exposures.forEach(exp => {
+        const exposureId = this.addExposure();
+        const exposureEl = document.querySelector(`[data-exposure-id="${exposureId}"]`);
+
+        // Set exposure values
+        if (exposureEl) {
+          // Update the grade display
+          if (exp.grade !== undefined) this.updateGradeDisplay(exposureEl, parseFloat(exp.grade));
+
+          // Update the exposure object in the exposures array
+          const exposure = this.exposures.find(e => e.id === exposureId);
+          if (exposure) {
+            if (exp.time) exposure.time = parseFloat(exp.time);
+            if (exp.grade !== undefined) exposure.grade = parseFloat(exp.grade);
+            exposure.type = exp.type === 'flash' ? 'flash' : 'print';
+            exposure.maskMode = exp.maskMode === 'burn' ? 'burn' : 'dodge';
+            exposure.splitPair = exp.splitPair || null;
+            exposure.splitRole = exp.splitPair ? exp.splitRole : null;
+            exposure.filtration = exp.filtration ? { ...exp.filtration } : null;
+            this.updateExposureTimeDisplay(exposureEl, exposure);
+            this.updateExposureIndicators(exposureEl, exposure);
+
+            // Set the mask data if it exists
+            if (exp.maskData) {
+              exposure.maskData = exp.maskData;
+
+              // Update the preview
+              const previewCanvas = exposureEl.querySelector('.dodge-mask-preview');
+              if (previewCanvas) {
+                this.updateDodgeMaskPreview(previewCanvas, exposure.maskData, exposure.maskMode);
+              }
+            }
+          }
+        }
+      });
+
+      this.updateSplitGradePanel();
+
+      // Process the image with the loaded settings
+      this.requestProcess();
+    }
+
+    // ensure we don't auto-save a just-loaded state
+    this._dirtySinceSave = false;
+  },
+
+  // Update tool buttons to show active state
+  updateToolButtons: function() {
+    const dodgeToolEl = document.getElementById('dodge-tool');
+    const burnToolEl = document.getElementById('burn-tool');
+    const eraseToolEl = document.getElementById('erase-tool');
+    const cropToolEl = document.getElementById('crop-tool');
+    const toolControlsEl = document.querySelector('.tool-controls');
+    const cropControlsEl = document.querySelector('.crop-controls');
+
+    if (dodgeToolEl && burnToolEl && eraseToolEl) {
+      dodgeToolEl.classList.toggle('active', this.activeTool === 'dodge');
+      burnToolEl.classList.toggle('active', this.activeTool === 'burn');
+      eraseToolEl.classList.toggle('active', this.activeTool === 'erase');
+
+      // Show tool controls when a tool is active
+      if (toolControlsEl) {
+        toolControlsEl.classList.toggle('hidden', !this.isMaskToolActive);
+      }
+    }
+
+    if (cropToolEl) {
+      cropToolEl.classList.toggle('active', this.isCropToolActive);
+    }
+    if (cropControlsEl) {
+      cropControlsEl.classList.toggle('hidden', !this.isCropToolActive);
+    }
+
+    const stripToolEl = document.getElementById('test-strip-tool');
+    const stripControlsEl = document.querySelector('.test-strip-controls');
+    if (stripToolEl) {
+      stripToolEl.classList.toggle('active', this.isTestStripActive);
+    }
+    if (stripControlsEl) {
+      stripControlsEl.classList.toggle('hidden', !this.isTestStripActive);
+    }
+  },
+
+  // Reflect the test strip settings in its controls
+  updateTestStripControls: function() {
+    const values = {
+      'strip-base-time': this.testStrip.baseTime,
+      'strip-step': this.testStrip.stepStops,
+      'strip-count': this.testStrip.count,
+      'strip-orientation': this.testStrip.orientation
+    };
+    Object.entries(values).forEach(([id, value]) => {
+      const el = document.getElementById(id);
+      if (el) el.value = value;
+    });
+  },
+
+  // One exposure per band, each at its cumulative time and grade, confined to its band
+  testStripExposures: function() {
+    const { orientation, count } = this.testStrip;
+
+    const selected = this.exposures.find(e => e.id === this.selectedExposureId) ||
+      this.exposures.find(e => e.type !== 'flash') || this.exposures[0];
+    const grade = selected ? selected.grade : 2;
+    const filtration = selected ? selected.filtration : null;
+
+    return testStripTimes(this.testStrip).map((time, i) => ({
+      id: null,
+      time,
+      grade,
+      filtration,
+      type: 'print',
+      maskMode: 'dodge',
+      maskData: null,
+      stripBand: { index: i, count, orientation }
+    }));
+  },
+
+  // Write each band's time on the overlay above the result
+  drawTestStripLabels: function() {
+    const labelsCanvas = document.getElementById('strip-labels');
+    if (!labelsCanvas || !this.resultCanvasEl) return;
+
+    labelsCanvas.classList.toggle('hidden', !this.isTestStripActive);
+    if (!this.isTestStripActive) return;
+
+    const w = this.resultCanvasEl.width, h = this.resultCanvasEl.height;
+    labelsCanvas.width = w;
+    labelsCanvas.height = h;
+
+    // Lay the labels over the displayed result
+    const rect = this.resultCanvasEl.getBoundingClientRect();
+    Object.assign(labelsCanvas.style, {
+      left: this.resultCanvasEl.offsetLeft + 'px',
+      top: this.resultCanvasEl.offsetTop + 'px',
+      width: rect.width + 'px',
+      height: rect.height + 'px'
+    });
+
+    const ctx = labelsCanvas.getContext('2d');
+    ctx.clearRect(0, 0, w, h);
+    ctx.font = `bold ${Math.max(12, Math.round(Math.min(w, h) * 0.04))}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = Math.max(2, Math.min(w, h) * 0.006);
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+
+    const { orientation, count } = this.testStrip;
+    testStripTimes(this.testStrip).forEach((time, i) => {
+      const mid = (i + 0.5) / count;
+      let x, y;
+      if (orientation === 'vertical') {
+        x = mid * w; y = h * 0.5;
+      } else if (orientation === 'radial') {
+        // Along the diagonal towards the bottom-right corner, where every ring is visible
+        x = w / 2 + mid * w / 2; y = h / 2 + mid * h / 2;
+      } else {
+        x = w * 0.5; y = mid * h;
+      }
+
+      const label = formatStripTime(time);
+      ctx.strokeText(label, x, y);
+      ctx.fillText(label, x, y);
+    });
+  },
+
+  // Reflect the toning settings in the toning panel
+  updateToningControls: function() {
+    document.querySelectorAll('.toning-row').forEach(row => {
+      const step = this.toning[row.dataset.toner];
+      if (!step) return;
+      const strengthInput = row.querySelector('.toner-strength');
+      const timeInput = row.querySelector('.toner-time');
+      if (strengthInput) strengthInput.value = step.strength;
+      if (timeInput) timeInput.value = step.time;
+    });
+
+    const localInput = document.getElementById('bleach-local');
+    if (localInput) localInput.checked = !!this.toning.bleach.local;
+
+    const paintButton = document.getElementById('paint-bleach');
+    if (paintButton) paintButton.classList.toggle('active', this.maskTarget === 'bleach');
+  },
+
+  // The object the brush paints into: the selected exposure, or the local bleach step
+  getMaskTarget: function() {
+    if (this.maskTarget === 'bleach') {
+      const bleach = this.toning.bleach;
+      if (!bleach.maskData && this.negativeImage) {
+        bleach.maskData = new ImageData(this.negativeImage.width, this.negativeImage.height);
+      }
+      return bleach;
+    }
+    return this.exposures.find(exp => exp.id === this.selectedExposureId) || null;
+  },
+
+  // Reflect the current crop in the crop controls
+  updateCropControls: function() {
+    const aspectSelect = document.getElementById('crop-aspect');
+    const angleInput = document.getElementById('crop-angle');
+    const sizeInput = document.getElementById('crop-size');
+
+    if (aspectSelect) aspectSelect.value = this.crop.aspect;
+    if (angleInput) angleInput.value = this.crop.angle;
+    if (sizeInput) sizeInput.value = Math.round(this.crop.size * 100);
+  },
+
+  // Change the crop. Masks are painted on the cropped negative, so each exposure's mask is
+  // carried through the old and new transforms to stay on the same part of the picture
+  // (paint that falls outside the new crop is dropped).
+  setCrop: function(changes) {
+    if (!this.originalImage) return;
+
+    this.saveState();
+
+    const srcW = this.originalImage.width;
+    const srcH = this.originalImage.height;
+    const oldGeom = cropGeometry(this.crop, srcW, srcH);
+    const crop = { ...this.crop, ...changes };
+    const newGeom = cropGeometry(crop, srcW, srcH);
+
+    // Store the clamped centre so later changes start from what is actually shown
+    this.crop = { ...crop, cx: newGeom.cx, cy: newGeom.cy };
+
+    const toNew = newGeom.matrix.multiply(oldGeom.matrix.inverse());
+    [...this.exposures, this.toning.bleach].forEach(exposure => {
+      if (!exposure.maskData) return;
+
+      const src = document.createElement('canvas');
+      src.width = exposure.maskData.width;
+      src.height = exposure.maskData.height;
+      src.getContext('2d').putImageData(new ImageData(
+        new Uint8ClampedArray(exposure.maskData.data),
+        exposure.maskData.width,
+        exposure.maskData.height
+      ), 0, 0);
+
+      const dst = document.createElement('canvas');
+      dst.width = newGeom.width;
+      dst.height = newGeom.height;
+      const ctx = dst.getContext('2d');
+      ctx.setTransform(toNew);
+      ctx.drawImage(src, 0, 0);
+
+      exposure.maskData = ctx.getImageData(0, 0, dst.width, dst.height);
+    });
+
+    this.updateCropControls();
+    this.createNegativeImage(this.originalImage);
+
+    this.markDirty();
+  },
+
+  // Switch to a stored crop without touching the masks (they were saved with it)
+  // Returns true if the negative was rebuilt
+  restoreCrop: function(crop) {
+    const next = { ...defaultCrop(), ...(crop || {}) };
+    if (JSON.stringify(next) === JSON.stringify(this.crop)) return false;
+
+    this.crop = next;
+    this.updateCropControls();
+    if (!this.originalImage) return false;
+    this.createNegativeImage(this.originalImage);
+    return true;
+  },
+
+  // Restore crop and input type together so the negative is rebuilt at most once
+  restoreImageSettings: function(crop, inputType) {
+    const nextType = INPUT_TYPES.includes(inputType) ? inputType : 'positive';
+    const typeChanged = nextType !== this.inputType;
+    this.inputType = nextType;
+    this.updateInputTypeControl();
+
+    if (!this.restoreCrop(crop) && typeChanged && this.originalImage) {
+      this.createNegativeImage(this.originalImage);
+    }
+  },
+
+  // Apply a negative profile (from history or a project) and show it in the controls
+  restoreNegativeProfile: function(profile) {
+    this.negativeProfile = { ...defaultNegativeProfile(), ...(profile || {}) };
+    if (this.gpu) this.gpu.setNegativeProfile(this.negativeProfile);
+    this.updateNegativeProfileControls();
+  },
+
+  updateNegativeProfileControls: function() {
+    const enabledInput = document.getElementById('negative-profile-enabled');
+    const baseFogInput = document.getElementById('negative-base-fog');
+    const rangeInput = document.getElementById('negative-density-range');
+
+    if (enabledInput) enabledInput.checked = this.negativeProfile.enabled;
+    if (baseFogInput) {
+      baseFogInput.value = this.negativeProfile.baseFog;
+      baseFogInput.disabled = !this.negativeProfile.enabled;
+    }
+    if (rangeInput) {
+      rangeInput.value = this.negativeProfile.densityRange;
+      rangeInput.disabled = !this.negativeProfile.enabled;
+    }
+  },
+
+  // Change the negative profile; the GPU applies it per pixel, so no rebuild is needed
+  setNegativeProfile: function(changes) {
+    this.saveState();
+    this.restoreNegativeProfile({ ...this.negativeProfile, ...changes });
+    this.markDirty();
+    this.requestProcess();
+  },
+
+  // Apply timing settings (from history or a project) and show them in the controls
+  restoreTiming: function(timing) {
+    this.timing = { ...defaultTiming(), ...(timing || {}) };
+    this.updateTimingControls();
+    this.exposures.forEach(exposure => this.refreshExposureItem(exposure));
+  },
+
+  updateTimingControls: function() {
+    const fstop = this.timing.mode === 'fstop';
+
+    const modeInput = document.getElementById('fstop-timing');
+    if (modeInput) modeInput.checked = fstop;
+
+    const baseInput = document.getElementById('fstop-base');
+    if (baseInput) baseInput.value = this.timing.baseTime;
+
+    const stepSelect = document.getElementById('fstop-step');
+    if (stepSelect) stepSelect.value = this.timing.stepDenominator;
+
+    document.querySelectorAll('.fstop-setting').forEach(el => el.classList.toggle('hidden', !fstop));
+  },
+
+  // Change the timing settings. A new base time in f-stop mode rescales every exposure so
+  // their stop offsets stay put; switching f-stop mode on just adopts the given base.
+  setTiming: function(changes) {
+    this.saveState();
+
+    const baseTime = changes.baseTime ?? this.timing.baseTime;
+    if (this.timing.mode === 'fstop' && baseTime !== this.timing.baseTime) {
+      // Flashes aren't offsets from the print time; they keep their seconds
+      const ratio = baseTime / this.timing.baseTime;
+      this.exposures.forEach(exposure => {
+        if (exposure.type !== 'flash') exposure.time = clampExposureTime(parseFloat(exposure.time) * ratio);
+      });
+    }
+
+    this.restoreTiming({ ...this.timing, ...changes });
+    this.updateSplitGradePanel();
+    this.markDirty();
+    this.requestProcess();
+  },
+
+  // Fill the enlarger select from the built-in profiles
+  populateEnlargerSelect: function() {
+    const select = document.getElementById('enlarger-profile');
+    if (!select) return;
+
+    Object.entries(ENLARGER_PROFILES).forEach(([id, enlarger]) => {
+      select.add(new Option(enlarger.name, id));
+    });
+    select.value = this.enlarger || '';
+  },
+
+  // Apply an enlarger (from history or a project; null for grade filters) and show it in the exposures
+  restoreEnlarger: function(enlarger) {
+    this.enlarger = ENLARGER_PROFILES[enlarger] ? enlarger : null;
+
+    const select = document.getElementById('enlarger-profile');
+    if (select) select.value = this.enlarger || '';
+
+    this.exposures.forEach(exposure => this.refreshExposureItem(exposure));
+  },
+
+  // Switch between grade filters and a colour head. Exposures dialled in on the head for the
+  // first time start at the filtration for their grade.
+  setEnlarger: function(enlarger) {
+    this.saveState();
+
+    const profile = ENLARGER_PROFILES[enlarger];
+    if (profile) {
+      this.exposures.forEach(exposure => {
+        if (!exposure.filtration) exposure.filtration = gradeFiltration(profile, exposure.grade);
+      });
+    }
+
+    this.restoreEnlarger(enlarger);
+    this.markDirty();
+    this.requestProcess();
+  },
+
+  // Apply an accumulation mode (from history or a project) and show it in the checkbox
+  restoreAccumulation: function(mode) {
+    this.accumulation = ACCUMULATION_MODES.includes(mode) ? mode : 'density';
+    if (this.gpu) this.gpu.setAccumulation(this.accumulation);
+
+    const input = document.getElementById('latent-accumulation');
+    if (input) {
+      input.checked = this.accumulation === 'latent';
+      // Summing light needs float render targets; without them the print adds densities
+      input.disabled = !!this.gpu && !this.gpu.floatTargets;
+    }
+  },
+
+  setAccumulation: function(mode) {
+    this.saveState();
+    this.restoreAccumulation(mode);
+    this.markDirty();
+    this.requestProcess();
+  },
 
-    // Set paper type
-    if (projectData.paperType) {
-      this.paperType = projectData.paperType;
-      document.getElementById('paper-type').value = this.paperType;
-    }
+  // Apply enlarger illumination settings (from history or a project) and show them in the controls
+  restoreIllumination: function(illumination) {
+    const defaults = defaultIllumination();
+    this.illumination = copyIllumination({ ...defaults, ...(illumination || {}) });
+    if (!APERTURES.includes(this.illumination.aperture)) this.illumination.aperture = defaults.aperture;
+    if (this.gpu) this.gpu.setIllumination(this.illumination);
+    this.updateIlluminationControls();
+  },
 
-    // Set exposures
-    if (projectData.exposures && projectData.exposures.length > 0) {
-      // Clear existing exposures
-      this.exposures = [];
-      const exposuresList = document.getElementById('exposures-list');
-      exposuresList.innerHTML = '';
+  updateIlluminationControls: function() {
+    const illumination = this.illumination;
 
-      // Add each exposure from the project data
-      projectData.exposures.forEach(exp => {
-        const exposureId = this.addExposure();
-        const exposureEl = document.querySelector(`[data-exposure-id="${exposureId}"]`);
+    const enabledInput = document.getElementById('illumination-enabled');
+    if (enabledInput) enabledInput.checked = illumination.enabled;
 
-        // Set exposure values
-        if (exposureEl) {
-          const timeSelect = exposureEl.querySelector('.exposure-time');
-          const gradeSelect = exposureEl.querySelector('.exposure-grade');
+    const values = {
+      'illumination-aperture': illumination.aperture,
+      'illumination-falloff': cornerFalloff(illumination),
+      'illumination-pattern': illumination.pattern,
+      'illumination-pattern-strength': illumination.patternStrength,
+      'illumination-softness': illumination.softness
+    };
+    Object.entries(values).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      input.value = value;
+      input.disabled = !illumination.enabled;
+    });
 
-          // Update the UI elements
-          if (timeSelect && exp.time) timeSelect.value = exp.time;
-          if (gradeSelect && exp.grade !== undefined) gradeSelect.value = exp.grade;
+    const strengthInput = document.getElementById('illumination-pattern-strength');
+    if (strengthInput && illumination.pattern === 'even') strengthInput.disabled = true;
+  },
 
-          // Update the grade display
-          const gradeDisplay = exposureEl.querySelector('.grade-display');
-          if (gradeDisplay && exp.grade !== undefined) {
-            gradeDisplay.className = `grade-display grade-${exp.grade}`;
-            gradeDisplay.textContent = gradeSelect.options[gradeSelect.selectedIndex].text;
-          }
+  // Change the illumination; the GPU applies it per pixel, so no rebuild is needed
+  setIllumination: function(changes) {
+    this.saveState();
+    this.restoreIllumination({ ...this.illumination, ...changes });
+    this.markDirty();
+    this.requestProcess();
+  },
 
-          // Update the exposure object in the exposures array
-          const exposure = this.exposures.find(e => e.id === exposureId);
-          if (exposure) {
-            if (exp.time) exposure.time = parseFloat(exp.time);
-            if (exp.grade !== undefined) exposure.grade = parseInt(exp.grade, 10);
+  // Exposures as the paper sees them: on a colour head the filtration becomes a continuous
+  // grade and its neutral density comes off the time
+  printExposures: function(exposures = this.exposures) {
+    const enlarger = ENLARGER_PROFILES[this.enlarger];
+    if (!enlarger) return exposures;
+
+    return exposures.map(exposure => exposure.filtration ? {
+      ...exposure,
+      grade: filtrationGrade(enlarger, exposure.filtration),
+      time: parseFloat(exposure.time) * filtrationSpeedFactor(enlarger, exposure.filtration)
+    } : exposure);
+  },
 
-            // Set the mask data if it exists
-            if (exp.maskData) {
-              exposure.maskData = exp.maskData;
+  updateInputTypeControl: function() {
+    const select = document.getElementById('input-type');
+    if (select) select.value = this.inputType;
+  },
 
-              // Update the preview
-              const previewCanvas = exposureEl.querySelector('.dodge-mask-preview');
-              if (previewCanvas) {
-                this.updateDodgeMaskPreview(previewCanvas, exposure.maskData);
-              }
-            }
-          }
-        }
-      });
+  // Change what the image file is (positive, B&W negative, colour negative) and rebuild the negative
+  setInputType: function(inputType) {
+    if (!INPUT_TYPES.includes(inputType) || inputType === this.inputType) return;
 
-      // Process the image with the loaded settings
-      this.requestProcess();
+    this.saveState();
+    this.inputType = inputType;
+    this.updateInputTypeControl();
+    if (this.originalImage) this.createNegativeImage(this.originalImage);
+    this.markDirty();
+  },
+
+  // Redraw every exposure's mask thumbnail (e.g. after the negative changed)
+  refreshMaskPreviews: function() {
+    this.exposures.forEach(exposure => {
+      const exposureItem = document.querySelector(`[data-exposure-id="${exposure.id}"]`);
+      const previewCanvas = exposureItem?.querySelector('.dodge-mask-preview');
+      if (previewCanvas && exposure.maskData) {
+        this.updateDodgeMaskPreview(previewCanvas, exposure.maskData, exposure.maskMode);
+      }
+    });
+  },
+
+  // Pan the crop by dragging the negative (mouse and touch)
+  startCropDrag: function(clientX, clientY) {
+    this._cropDrag = { startX: clientX, startY: clientY, x: clientX, y: clientY };
+  },
+
+  moveCropDrag: function(clientX, clientY) {
+    if (!this._cropDrag) return;
+    this._cropDrag.x = clientX;
+    this._cropDrag.y = clientY;
+
+    // Live feedback: slide the displayed negative, the real crop is applied on release
+    const dx = clientX - this._cropDrag.startX;
+    const dy = clientY - this._cropDrag.startY;
+    this.negativeImageEl.style.transform = `translate(${dx}px, ${dy}px)`;
+  },
+
+  endCropDrag: function() {
+    const drag = this._cropDrag;
+    if (!drag) return;
+    this._cropDrag = null;
+    this.negativeImageEl.style.transform = '';
+
+    const rect = this._maskRect || (this._maskRect = this.maskCanvas.getBoundingClientRect());
+    if (!rect.width || !rect.height) return;
+
+    // Screen drag → negative pixels → frame pixels (undo the crop tilt).
+    // Dragging the picture right moves the crop window left.
+    const dx = -(drag.x - drag.startX) * (this.maskCanvas.width / rect.width);
+    const dy = -(drag.y - drag.startY) * (this.maskCanvas.height / rect.height);
+    if (dx === 0 && dy === 0) return;
+
+    const theta = this.crop.angle * Math.PI / 180;
+    const fx = dx * Math.cos(theta) - dy * Math.sin(theta);
+    const fy = dx * Math.sin(theta) + dy * Math.cos(theta);
+
+    const geom = cropGeometry(this.crop, this.originalImage.width, this.originalImage.height);
+    this.setCrop({
+      cx: this.crop.cx + fx / geom.frameW,
+      cy: this.crop.cy + fy / geom.frameH
+    });
+  },
+
+  // Reflect an exposure's type (print or flash), mask mode (dodge or burn), split-grade role
+  // and, on a colour head, its filtration on its list item
+  updateExposureIndicators: function(exposureItem, exposure) {
+    if (!exposureItem || !exposure) return;
+    exposureItem.classList.toggle('burn-mode', exposure.maskMode === 'burn');
+    exposureItem.classList.toggle('flash-exposure', exposure.type === 'flash');
+    exposureItem.querySelector('.flash-badge')?.classList.toggle('hidden', exposure.type !== 'flash');
+
+    // Colour heads are set in filtration units, grade filters by grade
+    const filtrationInputs = exposureItem.querySelector('.filtration-inputs');
+    if (filtrationInputs) {
+      filtrationInputs.classList.toggle('hidden', !this.enlarger);
+      exposureItem.querySelector('.grade-selector')?.classList.toggle('hidden', !!this.enlarger);
+      if (this.enlarger && exposure.filtration) {
+        filtrationInputs.querySelector('.filter-y').value = exposure.filtration.y;
+        filtrationInputs.querySelector('.filter-m').value = exposure.filtration.m;
+        filtrationInputs.title = `About grade ${formatGrade(filtrationGrade(ENLARGER_PROFILES[this.enlarger], exposure.filtration))}`;
+      }
     }
 
-    // ensure we don't auto-save a just-loaded state
-    this._dirtySinceSave = false;
+    exposureItem.classList.toggle('split-exposure', !!exposure.splitPair);
+    const splitBadge = exposureItem.querySelector('.split-badge');
+    if (splitBadge) {
+      splitBadge.classList.toggle('hidden', !exposure.splitPair);
+      splitBadge.textContent = exposure.splitRole === 'hard' ? 'Split: hard' : 'Split: soft';
+    }
   },
 
-  // Update tool buttons to show active state
-  updateToolButtons: function() {
-    const dodgeToolEl = document.getElementById('dodge-tool');
-    const eraseToolEl = document.getElementById('erase-tool');
-    const toolControlsEl = document.querySelector('.tool-controls');
+  // Make the selected exposure's mask follow the active paint tool before a stroke.
+  // An empty mask just adopts the tool's mode (a fresh burn starts fully covered);
+  // a painted one is inverted, which leaves what's already on the print unchanged.
+  applyToolMaskMode: function() {
+    if (this.activeTool === 'erase' || !this.selectedExposureId || this.maskTarget === 'bleach') return;
 
-    if (dodgeToolEl && eraseToolEl) {
-      dodgeToolEl.classList.toggle('active', this.activeTool === 'dodge');
-      eraseToolEl.classList.toggle('active', this.activeTool === 'erase');
+    const exposure = this.exposures.find(exp => exp.id === this.selectedExposureId);
+    if (!exposure || (exposure.maskMode || 'dodge') === this.activeTool) return;
 
-      // Show tool controls when a tool is active
-      if (toolControlsEl) {
-        toolControlsEl.classList.toggle('hidden', !this.isMaskToolActive);
+    exposure.maskMode = this.activeTool;
+
+    if (exposure.maskData && this.maskCtx) {
+      const data = exposure.maskData.data;
+      let painted = false;
+      for (let i = 3; i < data.length; i += 4) {
+        if (data[i] !== 0) { painted = true; break; }
+      }
+
+      if (painted) {
+        const inverted = new ImageData(exposure.maskData.width, exposure.maskData.height);
+        for (let i = 3; i < data.length; i += 4) inverted.data[i] = 255 - data[i];
+        exposure.maskData = inverted;
+      }
+
+      this.drawMaskOverlay(exposure);
+    }
+
+    const exposureItem = document.querySelector(`[data-exposure-id="${exposure.id}"]`);
+    if (exposureItem) {
+      this.updateExposureIndicators(exposureItem, exposure);
+      const previewCanvas = exposureItem.querySelector('.dodge-mask-preview');
+      if (previewCanvas && exposure.maskData) {
+        this.updateDodgeMaskPreview(previewCanvas, exposure.maskData, exposure.maskMode);
       }
     }
+
+    this.markDirty();
+    this.requestProcess();
   },
 
-  // Add a new exposure
-  addExposure: function() {
-    const exposureId = Date.now().toString();
+  // Add a new exposure. A 'flash' exposes the paper without the negative to pre-fog it.
+  addExposure: function(type = 'print') {
+    const exposureId = makeExposureId();
 
     // Create empty mask data if we have a negative image
     let initialMaskData = null;
@@ -1452,9 +3790,15 @@ const DarkroomSimulator = {
 
     const exposure = {
       id: exposureId,
-      time: 16, // Default 16 seconds
-      grade: 5,  // Default grade 2
-      maskData: initialMaskData
+      time: type === 'flash' ? 2 : 16, // Default 16 seconds, flashes are short
+      grade: type === 'flash' ? 0 : 5,  // Default grade 2, flashes at 00
+      type: type,
+      maskMode: 'dodge',
+      maskData: initialMaskData,
+      splitPair: null, // Id shared by the two exposures of a split-grade pair
+      splitRole: null, // 'soft' or 'hard' within the pair
+      // { y, m } units on a colour head
+      filtration: this.enlarger ? gradeFiltration(ENLARGER_PROFILES[this.enlarger], type === 'flash' ? 0 : 5) : null
     };
 
     this.exposures.push(exposure);
@@ -1467,6 +3811,13 @@ const DarkroomSimulator = {
     exposureItem.setAttribute('data-exposure-id', exposureId);
     exposureItem.classList.remove('hidden');
 
+    // Set the initial values for time and grade
+    this.updateExposureTimeDisplay(exposureItem, exposure);
+
+    this.updateGradeDisplay(exposureItem, exposure.grade);
+
+    this.updateExposureIndicators(exposureItem, exposure);
+
     // Add event listeners to the exposure controls
     this.setupExposureControls(exposureItem, exposureId);
 
@@ -1494,21 +3845,298 @@ const DarkroomSimulator = {
     return exposureId;
   },
 
+  // Add a split-grade pair: a soft exposure at grade 00 and a hard one at grade 5 that
+  // share the total time according to the contrast balance
+  addSplitGradePair: function(totalTime = 16, balance = 0.5) {
+    const pairId = makeExposureId();
+    const times = splitTimes(totalTime, balance);
+
+    const ids = ['soft', 'hard'].map(role => {
+      const exposureId = this.addExposure();
+      const exposure = this.exposures.find(exp => exp.id === exposureId);
+      exposure.splitPair = pairId;
+      exposure.splitRole = role;
+      exposure.grade = SPLIT_GRADES[role];
+      if (this.enlarger) exposure.filtration = gradeFiltration(ENLARGER_PROFILES[this.enlarger], SPLIT_GRADES[role]);
+      exposure.time = times[role];
+      this.refreshExposureItem(exposure);
+      return exposureId;
+    });
+
+    this.selectExposure(ids[0]);
+    this.updateSplitGradePanel();
+    this.markDirty();
+    this.requestProcess();
+  },
+
+  // The soft and hard halves of the pair an exposure belongs to (null if it isn't in a complete pair)
+  splitPairOf: function(exposure) {
+    if (!exposure || !exposure.splitPair) return null;
+
+    const members = this.exposures.filter(exp => exp.splitPair === exposure.splitPair);
+    const soft = members.find(exp => exp.splitRole === 'soft');
+    const hard = members.find(exp => exp.splitRole === 'hard');
+    return soft && hard ? { id: exposure.splitPair, soft, hard } : null;
+  },
+
+  // Set both times of a split-grade pair
+  setSplitGradeTimes: function(pair, times) {
+    pair.soft.time = times.soft;
+    pair.hard.time = times.hard;
+    this.refreshExposureItem(pair.soft);
+    this.refreshExposureItem(pair.hard);
+    this.updateSplitGradePanel();
+    this.markDirty();
+    this.requestProcess();
+  },
+
+  // Turn the members of a split-grade pair back into independent exposures
+  breakSplitPair: function(pairId) {
+    this.exposures.filter(exp => exp.splitPair === pairId).forEach(exposure => {
+      exposure.splitPair = null;
+      exposure.splitRole = null;
+      this.refreshExposureItem(exposure);
+    });
+    this.updateSplitGradePanel();
+  },
+
+  // Bring an exposure's list item (time, grade, badges) up to date with the exposure
+  refreshExposureItem: function(exposure) {
+    const exposureItem = document.querySelector(`[data-exposure-id="${exposure.id}"]`);
+    if (!exposureItem) return;
+
+    this.updateExposureTimeDisplay(exposureItem, exposure);
+
+    this.updateGradeDisplay(exposureItem, exposure.grade);
+
+    this.updateExposureIndicators(exposureItem, exposure);
+  },
+
+  // Show the split-grade controls for the selected exposure's pair (hidden when it isn't in one)
+  updateSplitGradePanel: function() {
+    const panel = document.getElementById('split-grade-panel');
+    if (!panel) return;
+
+    const pair = this.splitPairOf(this.exposures.find(exp => exp.id === this.selectedExposureId));
+    panel.classList.toggle('hidden', !pair);
+    if (!pair) return;
+
+    const total = pair.soft.time + pair.hard.time;
+    const balance = splitBalance(pair.soft.time, pair.hard.time);
+    const values = {
+      'split-soft-time': pair.soft.time.toFixed(1),
+      'split-hard-time': pair.hard.time.toFixed(1),
+      'split-total-time': total.toFixed(1),
+      'split-balance': Math.round(balance * 100)
+    };
+    // Leave the control being typed into alone
+    Object.entries(values).forEach(([id, value]) => {
+      const el = document.getElementById(id);
+      if (el && el !== document.activeElement) el.value = value;
+    });
+
+    const balanceLabel = document.getElementById('split-balance-value');
+    if (balanceLabel) balanceLabel.textContent = `${Math.round(balance * 100)}% hard`;
+  },
+
+  // Show an exposure's time: in seconds, or in f-stop mode as stops from the base time
+  updateExposureTimeDisplay: function(exposureItem, exposure) {
+    const fstop = this.timing.mode === 'fstop';
+
+    const timeInput = exposureItem.querySelector('.exposure-time');
+    if (timeInput) {
+      // Leave a time being typed alone
+      if (timeInput !== document.activeElement) timeInput.value = formatExposureTime(parseFloat(exposure.time));
+      timeInput.classList.toggle('hidden', fstop);
+    }
+
+    const stopsControl = exposureItem.querySelector('.exposure-stops');
+    if (stopsControl) {
+      stopsControl.classList.toggle('hidden', !fstop);
+      const offset = stopsControl.querySelector('.stop-offset');
+      if (offset) {
+        offset.textContent = formatStops(Math.log2(exposure.time / this.timing.baseTime), this.timing.stepDenominator);
+        offset.title = `${parseFloat(exposure.time).toFixed(2)}s (stops from the ${this.timing.baseTime}s base)`;
+      }
+    }
+  },
+
+  // Move an exposure one step increment up or down the f-stop scale, snapping it onto the scale
+  stepExposureStops: function(exposureId, direction) {
+    const exposure = this.exposures.find(exp => exp.id === exposureId);
+    if (!exposure) return;
+
+    this.saveState();
+
+    const { baseTime, stepDenominator } = this.timing;
+    const steps = Math.round(Math.log2(exposure.time / baseTime) * stepDenominator) + direction;
+    this.setExposureTime(exposure, baseTime * Math.pow(2, steps / stepDenominator));
+  },
+
+  // Set an exposure's (continuous) grade; the caller saves history
+  setExposureGrade: function(exposure, grade) {
+    exposure.grade = Math.min(GRADE_COUNT - 1, Math.max(0, grade));
+
+    // A pair member moved off its grade is no longer split-grade printing
+    if (exposure.splitPair && exposure.grade !== SPLIT_GRADES[exposure.splitRole]) {
+      this.breakSplitPair(exposure.splitPair);
+    }
+
+    this.refreshExposureItem(exposure);
+    this.markDirty();
+    this.requestProcess();
+  },
+
+  // Show a grade in an exposure's grade selector: the colour of the nearest half grade,
+  // the menu label or the nominal grade, and the nominal grade in the fine entry
+  updateGradeDisplay: function(exposureItem, grade) {
+    const gradeSelect = exposureItem.querySelector('.exposure-grade');
+    if (gradeSelect) gradeSelect.value = Math.round(grade);
+
+    const gradeDisplay = exposureItem.querySelector('.grade-display');
+    if (gradeDisplay) {
+      gradeDisplay.className = `grade-display grade-${Math.round(grade)}`;
+      gradeDisplay.textContent = formatGrade(grade);
+    }
+
+    const gradeFineInput = exposureItem.querySelector('.grade-fine');
+    if (gradeFineInput) gradeFineInput.value = nominalGrade(grade).toFixed(1);
+  },
+
+  // Set an exposure's time (clamped to the time control's range); the caller saves history
+  setExposureTime: function(exposure, time) {
+    exposure.time = clampExposureTime(time);
+    this.refreshExposureItem(exposure);
+    if (exposure.splitPair) this.updateSplitGradePanel();
+    this.markDirty();
+    this.requestProcess();
+  },
+
   // Set up event listeners for exposure controls
   setupExposureControls: function(exposureItem, exposureId) {
-    // Time selection
-    const timeSelect = exposureItem.querySelector('.exposure-time');
-    if (timeSelect) {
-      timeSelect.addEventListener('change', (e) => {
+    // Time entry: type a value, scroll to nudge, or drag sideways to scrub
+    const timeInput = exposureItem.querySelector('.exposure-time');
+    if (timeInput) {
+      const exposure = () => this.exposures.find(exp => exp.id === exposureId);
+
+      timeInput.addEventListener('change', () => {
+        const exp = exposure();
+        if (!exp) return;
+
+        const time = parseFloat(timeInput.value.replace(',', '.'));
+        if (!(time > 0)) {
+          timeInput.value = formatExposureTime(parseFloat(exp.time));
+          return;
+        }
+
         // Save state before changing time
         this.saveState();
+        this.setExposureTime(exp, time);
+        timeInput.value = formatExposureTime(exp.time);
+      });
 
-        const exposure = this.exposures.find(exp => exp.id === exposureId);
-        if (exposure) {
-          exposure.time = parseFloat(e.target.value);
-          this.markDirty();           // ADD
-          this.requestProcess();
+      timeInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          timeInput.blur();
+        } else if (e.key === 'Escape') {
+          const exp = exposure();
+          if (exp) timeInput.value = formatExposureTime(parseFloat(exp.time));
+          timeInput.blur();
+        }
+      });
+
+      // One history entry per burst of wheel notches
+      let lastWheel = 0;
+      timeInput.addEventListener('wheel', (e) => {
+        const exp = exposure();
+        if (!exp || e.deltaY === 0) return;
+        e.preventDefault();
+
+        if (e.timeStamp - lastWheel > 500) this.saveState();
+        lastWheel = e.timeStamp;
+        this.setExposureTime(exp, nudgeExposureTime(parseFloat(exp.time), e.deltaY < 0 ? 1 : -1));
+        timeInput.value = formatExposureTime(exp.time);
+      }, { passive: false });
+
+      // Dragging scrubs the time; a click without a drag starts typing
+      let scrub = null;
+      timeInput.addEventListener('pointerdown', (e) => {
+        if (timeInput === document.activeElement || !e.isPrimary || e.button !== 0) return;
+        const exp = exposure();
+        if (!exp) return;
+
+        e.preventDefault();
+        timeInput.setPointerCapture(e.pointerId);
+        scrub = { x: e.clientX, time: parseFloat(exp.time), steps: 0, moved: false };
+      });
+      timeInput.addEventListener('pointermove', (e) => {
+        const exp = exposure();
+        if (!scrub || !exp) return;
+
+        const steps = Math.round((e.clientX - scrub.x) / TIME_SCRUB_PX);
+        if (steps === scrub.steps) return;
+        if (!scrub.moved) {
+          this.saveState();
+          scrub.moved = true;
+        }
+        scrub.steps = steps;
+        this.setExposureTime(exp, nudgeExposureTime(scrub.time, steps));
+      });
+      const endScrub = (e) => {
+        if (!scrub) return;
+        const moved = scrub.moved;
+        scrub = null;
+        if (timeInput.hasPointerCapture(e.pointerId)) timeInput.releasePointerCapture(e.pointerId);
+        if (!moved && e.type === 'pointerup') {
+          timeInput.focus();
+          timeInput.select();
         }
+      };
+      timeInput.addEventListener('pointerup', endScrub);
+      timeInput.addEventListener('pointercancel', endScrub);
+    }
+
+    // f-stop steps
+    exposureItem.querySelector('.stop-down-button')?.addEventListener('click', () => {
+      this.stepExposureStops(exposureId, -1);
+    });
+    exposureItem.querySelector('.stop-up-button')?.addEventListener('click', () => {
+      this.stepExposureStops(exposureId, 1);
+    });
+
+    // Yellow/magenta filtration on a colour head
+    exposureItem.querySelectorAll('.filter-y, .filter-m').forEach(input => {
+      input.addEventListener('change', () => {
+        const exposure = this.exposures.find(exp => exp.id === exposureId);
+        const enlarger = ENLARGER_PROFILES[this.enlarger];
+        if (!exposure || !enlarger) return;
+
+        this.saveState();
+        const value = Math.min(enlarger.maxUnits, Math.max(0, Math.round(parseFloat(input.value) || 0)));
+        exposure.filtration = { ...exposure.filtration, [input.classList.contains('filter-y') ? 'y' : 'm']: value };
+
+        // A pair member moved off its grade is no longer split-grade printing
+        if (exposure.splitPair) this.breakSplitPair(exposure.splitPair);
+
+        this.updateExposureIndicators(exposureItem, exposure);
+        this.markDirty();
+        this.requestProcess();
+      });
+    });
+
+    // Fine grade entry (nominal grades such as 2.3)
+    const gradeFineInput = exposureItem.querySelector('.grade-fine');
+    if (gradeFineInput) {
+      gradeFineInput.addEventListener('change', () => {
+        const exposure = this.exposures.find(exp => exp.id === exposureId);
+        const nominal = parseFloat(gradeFineInput.value);
+        if (!exposure || isNaN(nominal)) return;
+
+        this.saveState();
+        this.setExposureGrade(exposure, gradeFromNominal(nominal));
+      });
+      gradeFineInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') exposureItem.querySelector('.grade-options')?.classList.remove('show');
       });
     }
 
@@ -1598,8 +4226,14 @@ const DarkroomSimulator = {
 
   // Select an exposure
   selectExposure: function (exposureId) {
-    // HARD GUARD: if it's already selected, do nothing.
-    if (this.selectedExposureId === exposureId) return;
+    // HARD GUARD: if it's already selected, do nothing (unless the brush is on the bleach mask,
+    // then picking an exposure hands the brush back to it).
+    if (this.selectedExposureId === exposureId && this.maskTarget !== 'bleach') return;
+
+    if (this.maskTarget === 'bleach') {
+      this.maskTarget = null;
+      this.updateToningControls();
+    }
 
     // Deselect all exposures
     const exposureItems = document.querySelectorAll('.exposure-item');
@@ -1610,6 +4244,7 @@ const DarkroomSimulator = {
     if (selectedItem) {
       selectedItem.classList.add('selected');
       this.selectedExposureId = exposureId;
+      this.updateSplitGradePanel();
 
       if (this.negativeImage) this.setupMaskCanvas();
     }
@@ -1668,7 +4303,10 @@ const DarkroomSimulator = {
     const index = this.exposures.findIndex(exp => exp.id === exposureId);
     if (index === -1) return;
 
-    this.exposures.splice(index, 1);
+    const [deleted] = this.exposures.splice(index, 1);
+
+    // The other half of a split-grade pair carries on as a plain exposure
+    if (deleted.splitPair) this.breakSplitPair(deleted.splitPair);
 
     // Remove from UI
     const exposureItem = document.querySelector(`[data-exposure-id="${exposureId}"]`);
@@ -1708,7 +4346,7 @@ const DarkroomSimulator = {
     if (!sourceExposure) return;
 
     // Create a new exposure ID
-    const newExposureId = Date.now().toString();
+    const newExposureId = makeExposureId();
 
     // Create a deep copy of the mask data if it exists
     let clonedMaskData = null;
@@ -1734,7 +4372,12 @@ const DarkroomSimulator = {
       id: newExposureId,
       time: sourceExposure.time,
       grade: sourceExposure.grade,
-      maskData: clonedMaskData
+      type: sourceExposure.type || 'print',
+      maskMode: sourceExposure.maskMode || 'dodge',
+      maskData: clonedMaskData,
+      splitPair: null, // A clone is a plain exposure, not a third member of the pair
+      splitRole: null,
+      filtration: sourceExposure.filtration ? { ...sourceExposure.filtration } : null
     };
 
     // Add the cloned exposure to the exposures array
@@ -1749,31 +4392,11 @@ const DarkroomSimulator = {
     exposureItem.classList.remove('hidden');
 
     // Set the initial values for time and grade
-    const timeSelect = exposureItem.querySelector('.exposure-time');
-    if (timeSelect) {
-      timeSelect.value = clonedExposure.time;
-    }
-
-    const gradeSelect = exposureItem.querySelector('.exposure-grade');
-    if (gradeSelect) {
-      gradeSelect.value = clonedExposure.grade;
-    }
+    this.updateExposureTimeDisplay(exposureItem, clonedExposure);
 
-    const gradeDisplay = exposureItem.querySelector('.grade-display');
-    if (gradeDisplay) {
-      // Remove all grade classes
-      for (let i = 0; i <= 11; i++) {
-        gradeDisplay.classList.remove(`grade-${i}`);
-      }
-      // Add the correct grade class
-      gradeDisplay.classList.add(`grade-${clonedExposure.grade}`);
+    this.updateGradeDisplay(exposureItem, clonedExposure.grade);
 
-      // Set the text content based on the grade
-      const gradeOption = document.querySelector(`.grade-option[data-value="${clonedExposure.grade}"]`);
-      if (gradeOption) {
-        gradeDisplay.textContent = gradeOption.textContent;
-      }
-    }
+    this.updateExposureIndicators(exposureItem, clonedExposure);
 
     // Add event listeners to the exposure controls
     this.setupExposureControls(exposureItem, newExposureId);
@@ -1784,7 +4407,7 @@ const DarkroomSimulator = {
     // Initialize the dodge mask preview
     const previewCanvas = exposureItem.querySelector('.dodge-mask-preview');
     if (previewCanvas && clonedMaskData) {
-      this.updateDodgeMaskPreview(previewCanvas, clonedMaskData);
+      this.updateDodgeMaskPreview(previewCanvas, clonedMaskData, clonedExposure.maskMode);
     }
 
     // Update button states for all exposures
@@ -1847,7 +4470,7 @@ const DarkroomSimulator = {
     if (exposureItem) {
       const previewCanvas = exposureItem.querySelector('.dodge-mask-preview');
       if (previewCanvas) {
-        this.updateDodgeMaskPreview(previewCanvas, exposure.maskData);
+        this.updateDodgeMaskPreview(previewCanvas, exposure.maskData, exposure.maskMode);
       }
     }
 
@@ -1884,8 +4507,8 @@ const DarkroomSimulator = {
     this._setupMaskRAF = requestAnimationFrame(() => {
       this._setupMaskRAF = null;
 
-      // Get the selected exposure
-      const exposure = this.exposures.find(exp => exp.id === this.selectedExposureId);
+      // Get the selected exposure (or the bleach step when painting the bleach mask)
+      const exposure = this.getMaskTarget();
       if (!exposure) return;
 
       // Set up mask canvas
@@ -1893,39 +4516,11 @@ const DarkroomSimulator = {
       this.maskCtx = this.maskCanvas.getContext('2d', { willReadFrequently: true });
 
       // Size the mask canvas to match the negative image
-      const imgRect = this.negativeImageEl.getBoundingClientRect();
       this.maskCanvas.width = this.negativeImage.width;
       this.maskCanvas.height = this.negativeImage.height;
 
-      // Clear the mask canvas
-      this.maskCtx.clearRect(0, 0, this.maskCanvas.width, this.maskCanvas.height);
-
-      // If the exposure has mask data, draw it
-      if (exposure.maskData) {
-        // Create a new ImageData object from the exposure's mask data
-        const maskImage = new ImageData(
-          new Uint8ClampedArray(exposure.maskData.data),
-          exposure.maskData.width,
-          exposure.maskData.height
-        );
-
-        // Create a temporary ImageData to convert alpha to red (like in updateDodgeMaskPreview)
-        const tempData = new ImageData(maskImage.width, maskImage.height);
-        const src = maskImage.data;
-        const dst = tempData.data;
-
-        // Convert alpha to red (same as in updateDodgeMaskPreview)
-        for (let i = 0; i < src.length; i += 4) {
-          const a = src[i + 3]; // alpha
-          dst[i] = a;        // red channel from alpha
-          dst[i+1] = 0;      // green channel = 0
-          dst[i+2] = 0;      // blue channel = 0
-          dst[i+3] = a;      // use original alpha for transparency
-        }
-
-        // Draw the converted data to the mask canvas
-        this.maskCtx.putImageData(tempData, 0, 0);
-      }
+      // Draw the exposure's mask (if any) onto the mask canvas
+      this.drawMaskOverlay(exposure);
 
       // Show the mask canvas
       this.maskCanvas.classList.remove('hidden');
@@ -1943,32 +4538,8 @@ const DarkroomSimulator = {
       previewCanvas.width = this.maskCanvas.width;
       previewCanvas.height = this.maskCanvas.height;
 
-      // Match on-screen size & overlay it
-      Object.assign(previewCanvas.style, {
-        position: 'absolute',
-        left: this.negativeImageEl.offsetLeft + 'px',
-        top: this.negativeImageEl.offsetTop + 'px',
-        width: imgRect.width + 'px',
-        height: imgRect.height + 'px',
-        pointerEvents: 'none',   // don't block drawing
-        zIndex: 3                // above mask canvas
-      });
-
-      // Make sure mask canvas is also absolutely positioned above the image
-      Object.assign(this.maskCanvas.style, {
-        position: 'absolute',
-        left: this.negativeImageEl.offsetLeft + 'px',
-        top: this.negativeImageEl.offsetTop + 'px',
-        width: imgRect.width + 'px',
-        height: imgRect.height + 'px',
-        zIndex: 2
-      });
-
-      // And the image container should be relatively positioned
-      const container = this.negativeImageEl.parentElement;
-      if (container && getComputedStyle(container).position === 'static') {
-        container.style.position = 'relative';
-      }
+      // Match on-screen size & overlay both canvases on the image
+      this.positionMaskCanvasToImage();
 
       // Set up painting handlers if not already attached
       if (!this.paintingHandlersAttached) {
@@ -1984,136 +4555,220 @@ const DarkroomSimulator = {
     });
   },
 
+  // Choose side-by-side, stacked or tabbed from the image and the space available
+  updateImageLayout: function() {
+    const container = document.querySelector('.images-container');
+    if (!container) return;
+
+    let width = 0, height = 0;
+    if (this.negativeImage) {
+      width = this.negativeImage.width;
+      height = this.negativeImage.height;
+    }
+
+    // On small screens the container grows with its content, so measure against the viewport
+    const style = getComputedStyle(container);
+    const containerW = container.clientWidth;
+    const containerH = style.maxHeight === 'none' ? window.innerHeight * 0.8 : container.clientHeight;
+    const gap = parseFloat(style.columnGap) || 0;
+
+    const layout = chooseImageLayout(width, height, containerW, containerH, gap);
+    if (layout === this.imageLayout && container.classList.contains('layout-' + layout)) return;
+
+    this.imageLayout = layout;
+    IMAGE_LAYOUTS.forEach(name => container.classList.toggle('layout-' + name, name === layout));
+    document.querySelector('.view-tabs')?.classList.toggle('hidden', layout !== 'tabbed');
+    this.showView(this.activeView);
+  },
+
+  // Show the negative or the result in the tabbed layout
+  showView: function(view) {
+    this.activeView = view === 'result' ? 'result' : 'negative';
+
+    const tabbed = this.imageLayout === 'tabbed';
+    document.querySelector('.negative-container')?.classList.toggle('view-hidden', tabbed && this.activeView !== 'negative');
+    document.querySelector('.result-container')?.classList.toggle('view-hidden', tabbed && this.activeView !== 'result');
+    document.querySelectorAll('.view-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.view === this.activeView);
+    });
+
+    // The images may have changed size while hidden or when the layout switched
+    this.positionMaskCanvasToImage();
+    this.drawTestStripLabels();
+  },
+
+  // Lay the mask and brush preview canvases exactly over the displayed negative
+  positionMaskCanvasToImage: function() {
+    this._maskRect = null; // Screen-to-mask mapping must be re-measured
+    if (!this.maskCanvas || !this.negativeImageEl) return;
+
+    const imgRect = this.negativeImageEl.getBoundingClientRect();
+    const placement = {
+      position: 'absolute',
+      left: this.negativeImageEl.offsetLeft + 'px',
+      top: this.negativeImageEl.offsetTop + 'px',
+      width: imgRect.width + 'px',
+      height: imgRect.height + 'px'
+    };
+
+    // Make sure mask canvas is absolutely positioned above the image
+    Object.assign(this.maskCanvas.style, placement, { zIndex: 2 });
+
+    const previewCanvas = document.getElementById('preview-canvas');
+    if (previewCanvas) {
+      Object.assign(previewCanvas.style, placement, {
+        pointerEvents: 'none',   // don't block drawing
+        zIndex: 3                // above mask canvas
+      });
+    }
+
+    // And the image container should be relatively positioned
+    const container = this.negativeImageEl.parentElement;
+    if (container && getComputedStyle(container).position === 'static') {
+      container.style.position = 'relative';
+    }
+  },
+
+  // Draw an exposure's mask onto the mask canvas, tinted for its mode
+  drawMaskOverlay: function(exposure) {
+    if (!this.maskCtx) return;
+
+    // Clear the mask canvas
+    this.maskCtx.clearRect(0, 0, this.maskCanvas.width, this.maskCanvas.height);
+    if (!exposure.maskData) return;
+
+    // Create a temporary ImageData to convert alpha to the tint colour (like in updateDodgeMaskPreview)
+    const [tr, tg, tb] = maskTint(exposure.maskMode);
+    const tempData = new ImageData(exposure.maskData.width, exposure.maskData.height);
+    const src = exposure.maskData.data;
+    const dst = tempData.data;
+
+    for (let i = 0; i < src.length; i += 4) {
+      const a = src[i + 3]; // alpha
+      dst[i] = tr * a / 255;
+      dst[i+1] = tg * a / 255;
+      dst[i+2] = tb * a / 255;
+      dst[i+3] = a;      // use original alpha for transparency
+    }
+
+    // Draw the converted data to the mask canvas
+    this.maskCtx.putImageData(tempData, 0, 0);
+  },
+
   // Set up event handlers for painting on the mask canvas
   setupPaintingHandlers: function() {
     if (!this.maskCanvas) return;
 
-    // Mouse down handler
-    this.maskCanvas.addEventListener('mousedown', (e) => {
-      // Save the current state before drawing
-      this.saveState();
-
-      this.isDrawing = true;
+    // Screen position of a pointer event -> mask canvas pixels
+    const toMask = (e) => {
       const rect = this._maskRect || (this._maskRect = this.maskCanvas.getBoundingClientRect());
-      const scaleX = this.maskCanvas.width / rect.width;
-      const scaleY = this.maskCanvas.height / rect.height;
+      return {
+        x: (e.clientX - rect.left) * (this.maskCanvas.width / rect.width),
+        y: (e.clientY - rect.top) * (this.maskCanvas.height / rect.height)
+      };
+    };
 
-      this.lastX = (e.clientX - rect.left) * scaleX;
-      this.lastY = (e.clientY - rect.top) * scaleY;
+    // Pointer down: mouse, touch and pen all start a stroke (or a crop drag) here
+    this.maskCanvas.addEventListener('pointerdown', (e) => {
+      if (!e.isPrimary || e.button > 0) return;
+      e.preventDefault();
 
-      // Draw a single point
-      this.drawMaskPoint(this.lastX, this.lastY);
-    });
+      // Keep receiving moves when the stroke leaves the canvas
+      this.maskCanvas.setPointerCapture(e.pointerId);
 
-    // Touch start handler
-    this.maskCanvas.addEventListener('touchstart', (e) => {
-      // Prevent default to stop scrolling
-      e.preventDefault();
+      if (this.isCropToolActive) {
+        this.startCropDrag(e.clientX, e.clientY);
+        return;
+      }
 
       // Save the current state before drawing
       this.saveState();
+      this.applyToolMaskMode();
 
       this.isDrawing = true;
-      const rect = this._maskRect || (this._maskRect = this.maskCanvas.getBoundingClientRect());
-      const scaleX = this.maskCanvas.width / rect.width;
-      const scaleY = this.maskCanvas.height / rect.height;
-
-      const touch = e.touches[0];
-      this.lastX = (touch.clientX - rect.left) * scaleX;
-      this.lastY = (touch.clientY - rect.top) * scaleY;
+      const { x, y } = toMask(e);
+      this.lastX = x;
+      this.lastY = y;
+      this.lastDynamics = pointerDynamics(e);
 
       // Draw a single point
-      this.drawMaskPoint(this.lastX, this.lastY);
+      this.drawMaskPoint(x, y, this.lastDynamics);
     });
 
-    // Mouse move handler
-    this.maskCanvas.addEventListener('mousemove', (e) => {
-      const rect = this._maskRect || (this._maskRect = this.maskCanvas.getBoundingClientRect());
-      const scaleX = this.maskCanvas.width / rect.width;
-      const scaleY = this.maskCanvas.height / rect.height;
-
-      const x = (e.clientX - rect.left) * scaleX;
-      const y = (e.clientY - rect.top) * scaleY;
+    // Pointer move handler
+    this.maskCanvas.addEventListener('pointermove', (e) => {
+      if (!e.isPrimary) return;
 
-      // Keep a copy of the previous point BEFORE updating
-      const prevX = this.lastX;
-      const prevY = this.lastY;
+      if (this._cropDrag) {
+        this.moveCropDrag(e.clientX, e.clientY);
+        return;
+      }
 
-      // Update last known position (used by preview + next segment)
-      this.lastX = x;
-      this.lastY = y;
+      if (!this.isDrawing) {
+        const { x, y } = toMask(e);
+        this.lastX = x;
+        this.lastY = y;
 
-      if (this.isDrawing) {
-        this.drawMaskLine(prevX, prevY, x, y);  // ← use previous point
-      } else {
         // Draw preview circles
-        this.drawPreviewCircles(x, y, scaleX, scaleY);
+        if (e.pointerType !== 'touch') this.drawPreviewCircles(x, y);
+        return;
       }
-    });
-
-    // Touch move handler
-    this.maskCanvas.addEventListener('touchmove', (e) => {
-      // Prevent default to stop scrolling
-      e.preventDefault();
-
-      const rect = this._maskRect || (this._maskRect = this.maskCanvas.getBoundingClientRect());
-      const scaleX = this.maskCanvas.width / rect.width;
-      const scaleY = this.maskCanvas.height / rect.height;
-
-      const touch = e.touches[0];
-      const x = (touch.clientX - rect.left) * scaleX;
-      const y = (touch.clientY - rect.top) * scaleY;
 
-      // Keep a copy of the previous point BEFORE updating
-      const prevX = this.lastX;
-      const prevY = this.lastY;
+      // Pens report more samples than frames; paint every one for smooth pressure changes
+      const samples = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+      (samples.length ? samples : [e]).forEach(sample => {
+        const { x, y } = toMask(sample);
+        const dynamics = pointerDynamics(sample);
 
-      // Update last known position (used by preview + next segment)
-      this.lastX = x;
-      this.lastY = y;
+        this.drawMaskLine(this.lastX, this.lastY, x, y, this.lastDynamics, dynamics);
 
-      if (this.isDrawing) {
-        this.drawMaskLine(prevX, prevY, x, y);  // ← use previous point
-      }
+        // Update last known position (used by preview + next segment)
+        this.lastX = x;
+        this.lastY = y;
+        this.lastDynamics = dynamics;
+      });
     });
 
-    // Mouse up and mouse leave handlers
+    // Pointer up, cancel and leave handlers
     const endDrawing = () => {
+      this.endCropDrag();
+
       if (this.isDrawing) {
         this.isDrawing = false;
 
-        // Save the mask data to the current exposure
-        if (this.selectedExposureId) {
-          const exposure = this.exposures.find(exp => exp.id === this.selectedExposureId);
-          if (exposure) {
-            exposure.maskData = this.maskCtx.getImageData(0, 0, this.maskCanvas.width, this.maskCanvas.height);
-
-            // Update the preview
-            const exposureItem = document.querySelector(`[data-exposure-id="${this.selectedExposureId}"]`);
-            if (exposureItem) {
-              const previewCanvas = exposureItem.querySelector('.dodge-mask-preview');
-              if (previewCanvas) {
-                this.updateDodgeMaskPreview(previewCanvas, exposure.maskData);
-              }
+        // Save the mask data to the current exposure (or the bleach step)
+        const exposure = this.getMaskTarget();
+        if (exposure) {
+          exposure.maskData = this.maskCtx.getImageData(0, 0, this.maskCanvas.width, this.maskCanvas.height);
+
+          // Update the preview
+          const exposureItem = exposure.id && document.querySelector(`[data-exposure-id="${exposure.id}"]`);
+          if (exposureItem) {
+            const previewCanvas = exposureItem.querySelector('.dodge-mask-preview');
+            if (previewCanvas) {
+              this.updateDodgeMaskPreview(previewCanvas, exposure.maskData, exposure.maskMode);
             }
-
-            // Process the image with the updated mask
-            this.markDirty();               // ADD
-            this.requestProcess();
           }
+
+          // Process the image with the updated mask
+          this.markDirty();               // ADD
+          this.requestProcess();
         }
       }
     };
 
-    this.maskCanvas.addEventListener('mouseup', endDrawing);
-    this.maskCanvas.addEventListener('mouseleave', endDrawing);
-    this.maskCanvas.addEventListener('touchend', (e) => {
-      e.preventDefault();
-      endDrawing();
+    this.maskCanvas.addEventListener('pointerup', (e) => {
+      if (e.isPrimary) endDrawing();
     });
-    this.maskCanvas.addEventListener('touchcancel', (e) => {
-      e.preventDefault();
-      endDrawing();
+    this.maskCanvas.addEventListener('pointercancel', (e) => {
+      if (e.isPrimary) endDrawing();
+    });
+    // With pointer capture this only fires for a hovering mouse or pen; clear its brush outline
+    this.maskCanvas.addEventListener('pointerleave', () => {
+      const previewCanvas = document.getElementById('preview-canvas');
+      if (previewCanvas && !this.isDrawing) {
+        previewCanvas.getContext('2d').clearRect(0, 0, previewCanvas.width, previewCanvas.height);
+      }
     });
   },
 
@@ -2130,10 +4785,11 @@ const DarkroomSimulator = {
     ctx.clearRect(0, 0, c.width, c.height);
 
     const g = ctx.createRadialGradient(r, r, 0, r, r, r);
-    if (this.activeTool === 'dodge') {
+    if (this.activeTool !== 'erase') {
+      const rgb = maskTint(this.activeTool).join(', ');
       const innerRadius = Math.max(0, 1 - featherPx / r);
-      g.addColorStop(0, `rgba(255, 0, 0, ${this.brushFlow})`);
-      g.addColorStop(innerRadius, `rgba(255, 0, 0, ${this.brushFlow})`);
+      g.addColorStop(0, `rgba(${rgb}, ${this.brushFlow})`);
+      g.addColorStop(innerRadius, `rgba(${rgb}, ${this.brushFlow})`);
 
       // Add multiple intermediate stops for a smoother gradient
       const steps = 50; // Increased number of steps for smoother transition
@@ -2142,10 +4798,10 @@ const DarkroomSimulator = {
         // Use a non-linear (quadratic) function for smoother alpha transition
         const t = i / steps;
         const alpha = this.brushFlow * (1 - t * t);
-        g.addColorStop(pos, `rgba(255, 0, 0, ${alpha})`);
+        g.addColorStop(pos, `rgba(${rgb}, ${alpha})`);
       }
 
-      g.addColorStop(1, 'rgba(255, 0, 0, 0)');
+      g.addColorStop(1, `rgba(${rgb}, 0)`);
     } else {
       const innerRadius = Math.max(0, 1 - featherPx / r);
       g.addColorStop(0, 'rgba(0, 0, 0, 1)');
@@ -2173,29 +4829,35 @@ const DarkroomSimulator = {
   },
 
   // REPLACE drawMaskPoint
-  drawMaskPoint: function(x, y) {
+  // dynamics ({ size, flow } from pointerDynamics) scale the stamp and its opacity
+  drawMaskPoint: function(x, y, dynamics = { size: 1, flow: 1 }) {
     if (!this.maskCtx || !this._brushStamp) return;
-    this.maskCtx.globalCompositeOperation = this.activeTool === 'dodge' ? 'source-over' : 'destination-out';
+    this.maskCtx.globalCompositeOperation = this.activeTool === 'erase' ? 'destination-out' : 'source-over';
+    this.maskCtx.globalAlpha = Math.max(0, Math.min(1, dynamics.flow));
     const s = this._brushStamp;
-    this.maskCtx.drawImage(s, Math.round(x - s.width / 2), Math.round(y - s.height / 2));
+    const w = s.width * dynamics.size, h = s.height * dynamics.size;
+    this.maskCtx.drawImage(s, Math.round(x - w / 2), Math.round(y - h / 2), w, h);
+    this.maskCtx.globalAlpha = 1;
   },
 
   // REPLACE drawMaskLine
-  drawMaskLine: function(x1, y1, x2, y2) {
+  // Pressure and tilt are interpolated along the segment so strokes swell and fade smoothly
+  drawMaskLine: function(x1, y1, x2, y2, from = { size: 1, flow: 1 }, to = from) {
     if (!this.maskCtx) return;
     const dx = x2 - x1, dy = y2 - y1;
     const dist = Math.hypot(dx, dy);
-    if (dist < 1) { this.drawMaskPoint(x2, y2); return; }
+    if (dist < 1) { this.drawMaskPoint(x2, y2, to); return; }
 
     const brushSizePx = Math.max(2, (this.maskCanvas.width * (this.brushSize / 100)));
-    const step = brushSizePx / 2; // fewer stamps than /4; smoother with feather
-    const steps = Math.max(1, (dist / step) | 0);
-    const ix = dx / steps, iy = dy / steps;
+    const step = brushSizePx * Math.min(from.size, to.size) / 2; // fewer stamps than /4; smoother with feather
+    const steps = Math.max(1, (dist / Math.max(1, step)) | 0);
 
-    let x = x1, y = y1;
     for (let i = 0; i <= steps; i++) {
-      this.drawMaskPoint(x, y);
-      x += ix; y += iy;
+      const t = i / steps;
+      this.drawMaskPoint(x1 + dx * t, y1 + dy * t, {
+        size: from.size + (to.size - from.size) * t,
+        flow: from.flow + (to.flow - from.flow) * t
+      });
     }
   },
 
@@ -2211,8 +4873,8 @@ const DarkroomSimulator = {
     // Clear the canvas regardless of tool state
     previewCtx.clearRect(0, 0, previewCanvas.width, previewCanvas.height);
 
-    // Only draw the preview circles if a mask tool (dodge or erase) is active
-    if (!this.isMaskToolActive) return;
+    // Only draw the preview circles if a mask tool (dodge, burn or erase) is active
+    if (!this.isMaskToolActive || this.isCropToolActive) return;
 
     // If no mouse yet, put the preview in the middle
     if (x == null || y == null) {
@@ -2237,8 +4899,8 @@ const DarkroomSimulator = {
     }
   },
 
-  // Update the dodge mask preview for an exposure
-  updateDodgeMaskPreview: function(previewCanvas, maskData) {
+  // Update the dodge/burn mask preview for an exposure
+  updateDodgeMaskPreview: function(previewCanvas, maskData, maskMode = 'dodge') {
     if (!previewCanvas || !maskData) return;
 
     // Set maximum dimensions for the preview
@@ -2282,14 +4944,15 @@ const DarkroomSimulator = {
       ctx.fillRect(0, 0, w, h);
     }
 
-    // Make a small red image from alpha
+    // Make a small tinted image from alpha (red for dodge, amber for burn)
+    const [tr, tg, tb] = maskTint(maskMode);
     const src = maskData.data;
     const tmp = new ImageData(maskData.width, maskData.height);
     for (let i = 0; i < src.length; i += 4) {
       const a = src[i + 3]; // alpha
-      tmp.data[i] = a;      // red channel from alpha
-      tmp.data[i+1] = 0;    // green channel = 0
-      tmp.data[i+2] = 0;    // blue channel = 0
+      tmp.data[i] = tr * a / 255;
+      tmp.data[i+1] = tg * a / 255;
+      tmp.data[i+2] = tb * a / 255;
       tmp.data[i + 3] = a;  // use original alpha for transparency
     }
 
@@ -2303,9 +4966,11 @@ const DarkroomSimulator = {
     ctx.drawImage(c, 0, 0, w, h);
   },
 
-  // Clear the mask for the selected exposure
+  // Clear the mask for the selected exposure (or the bleach mask)
   clearMask: function() {
-    if (!this.maskCtx || !this.selectedExposureId) return;
+    // The selected exposure's mask, or the bleach mask when painting that
+    const exposure = this.maskCtx && this.getMaskTarget();
+    if (!exposure) return;
 
     // Save the current state before clearing
     this.saveState();
@@ -2314,35 +4979,19 @@ const DarkroomSimulator = {
     this.maskCtx.clearRect(0, 0, this.maskCanvas.width, this.maskCanvas.height);
 
     // Update the exposure's mask data
-    const exposure = this.exposures.find(exp => exp.id === this.selectedExposureId);
-    if (exposure) {
-      exposure.maskData = this.maskCtx.getImageData(0, 0, this.maskCanvas.width, this.maskCanvas.height);
-
-      // Update the preview
-      if (exposureItem) {
-        const previewCanvas = exposureItem.querySelector('.dodge-mask-preview');
-        if (previewCanvas) {
-          const pctx = previewCanvas.getContext('2d');
-          previewCanvas.width = imageData.width;
-          previewCanvas.height = imageData.height;
-
-          // 1) Draw the (alpha-only) mask first
-          pctx.clearRect(0, 0, previewCanvas.width, previewCanvas.height);
-          pctx.putImageData(imageData, 0, 0);
-
-          // 2) Colorize it: keep the red fill only where mask has alpha
-          pctx.globalCompositeOperation = 'source-in';
-          pctx.fillStyle = '#f00';
-          pctx.fillRect(0, 0, previewCanvas.width, previewCanvas.height);
-
-          // 3) Reset comp op
-          pctx.globalCompositeOperation = 'source-over';
-        }
-      }
+    exposure.maskData = this.maskCtx.getImageData(0, 0, this.maskCanvas.width, this.maskCanvas.height);
 
-      this.markDirty();               // ADD
-      this.requestProcess();
+    // Update the preview
+    const exposureItem = exposure.id && document.querySelector(`[data-exposure-id="${exposure.id}"]`);
+    if (exposureItem) {
+      const previewCanvas = exposureItem.querySelector('.dodge-mask-preview');
+      if (previewCanvas) {
+        this.updateDodgeMaskPreview(previewCanvas, exposure.maskData, exposure.maskMode);
+      }
     }
+
+    this.markDirty();               // ADD
+    this.requestProcess();
   },
 
   // Load an image from a URL
@@ -2354,13 +5003,9 @@ const DarkroomSimulator = {
         // Store the original image
         this.originalImage = img;
 
-        // Create the negative image
+        // Create (and show) the negative image
         this.createNegativeImage(img);
 
-        // Show the negative image
-        this.negativeImageEl.src = this.negativeImage.src;
-        this.negativeImageEl.classList.remove('hidden');
-
         // Note: We don't need to call setupMaskCanvas() or processImage() here
         // as they are called in the negativeImage.onload handler in createNegativeImage
 
@@ -2375,38 +5020,65 @@ const DarkroomSimulator = {
     });
   },
 
-  // Create a negative image from the original
+  // Create a negative image from the original, cropped and rotated.
+  // img is a loaded Image, or a decoded { width, height, channels, data } scan raster
   createNegativeImage: function(img) {
+    const geom = cropGeometry(this.crop, img.width, img.height);
+
     // Create a canvas to process the image
     const canvas = document.createElement('canvas');
-    canvas.width = img.width;
-    canvas.height = img.height;
+    canvas.width = geom.width;
+    canvas.height = geom.height;
     const ctx = canvas.getContext('2d');
 
-    // Draw the image to the canvas
-    ctx.drawImage(img, 0, 0);
-
-    // Get the image data
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const data = imageData.data;
-
-    // Convert to grayscale and invert
-    for (let i = 0; i < data.length; i += 4) {
-      // Convert to grayscale using luminance formula
-      const gray = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
-
-      // Invert the grayscale value
-      const inverted = 255 - gray;
-
-      // Set the RGB channels to the inverted value
-      data[i] = inverted;
-      data[i + 1] = inverted;
-      data[i + 2] = inverted;
+    // Transmittance per negative pixel (0..1) for the GPU
+    let trans;
+    let imageData;
+
+    if (img.data) {
+      // Decoded scan: resample at full precision, then make an 8-bit preview for display
+      trans = rasterTransmittance(img, geom, this.inputType);
+      imageData = ctx.createImageData(canvas.width, canvas.height);
+      for (let i = 0, j = 0; j < trans.length; i += 4, j++) {
+        imageData.data[i] = imageData.data[i + 1] = imageData.data[i + 2] = trans[j] * 255;
+        imageData.data[i + 3] = 255;
+      }
+    } else {
+      // Draw the image to the canvas through the crop transform
+      ctx.imageSmoothingQuality = 'high';
+      ctx.setTransform(geom.matrix);
+      ctx.drawImage(img, 0, 0);
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+      // Get the image data
+      imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      const data = imageData.data;
+      trans = new Float32Array(canvas.width * canvas.height);
+      const filmBase = this.inputType === 'colour-negative' ? estimateFilmBase(data, 4, 1 / 255) : null;
+
+      // Convert to grayscale transmittance (inverting positives)
+      for (let i = 0, j = 0; i < data.length; i += 4, j++) {
+        trans[j] = scanTransmittance(data[i] / 255, data[i + 1] / 255, data[i + 2] / 255, this.inputType, filmBase);
+
+        // Show the negative as the enlarger sees it
+        const value = trans[j] * 255;
+        data[i] = value;
+        data[i + 1] = value;
+        data[i + 2] = value;
+      }
     }
 
     // Put the modified image data back to the canvas
     ctx.putImageData(imageData, 0, 0);
 
+    // Thinnest and densest parts of the negative, for the D-logE viewer
+    let transMin = Infinity, transMax = -Infinity;
+    for (let j = 0; j < trans.length; j++) {
+      if (trans[j] < transMin) transMin = trans[j];
+      if (trans[j] > transMax) transMax = trans[j];
+    }
+    this.transRange = { min: transMin, max: transMax };
+
     // Store the dimensions from the canvas
     const canvasWidth = canvas.width;
     const canvasHeight = canvas.height;
@@ -2419,17 +5091,28 @@ const DarkroomSimulator = {
       // Show the negative image
       this.negativeImageEl.classList.remove('hidden');
 
+      // The image aspect may call for a different arrangement (new image, crop or rotation)
+      this.updateImageLayout();
+
       // Set up the mask canvas
       this.setupMaskCanvas();
 
+      // Thumbnails show the negative behind each mask
+      this.refreshMaskPreviews();
+
       // Process the image
       this.processImage();
     };
 
     this.negativeImage.src = canvas.toDataURL();
 
+    // Show the negative image
+    this._maskRect = null;
+    this.negativeImageEl.src = this.negativeImage.src;
+    this.negativeImageEl.classList.remove('hidden');
+
     // Upload transmittance and LUT to GPU
-    this.gpu.uploadTransmittanceFromImageData(imageData);
+    this.gpu.uploadTransmittanceFromImageData({ width: canvasWidth, height: canvasHeight, data: trans });
     this.gpu.uploadLUT(this.sigmoidLUT);
 
     // Set width and height properties directly in case the image load is delayed
@@ -2475,7 +5158,14 @@ const DarkroomSimulator = {
     this.resultCanvasEl.classList.remove('hidden');
 
     // All per-frame data: exposure uniforms & mask textures
-    this.gpu.render(paper, this.exposures, this.sigmoidLUT);
+    if (this.isTestStripActive) {
+      // Test strips are judged untoned
+      this.gpu.render(paper, this.printExposures(this.testStripExposures()), this.sigmoidLUT, defaultToning());
+    } else {
+      this.gpu.render(paper, this.printExposures(), this.sigmoidLUT, this.toning);
+    }
+    this.drawTestStripLabels();
+    this.updateCurveViewer();
 
     // Read pixels from WebGL canvas for histogram
     try {
@@ -2615,6 +5305,506 @@ const DarkroomSimulator = {
     this.histogramData = histogramData;
   },
 
+  // Fill the paper select from this.papers: built-in papers first, then the user's own
+  populatePaperSelect: function() {
+    const select = document.getElementById('paper-type');
+    if (!select) return;
+
+    select.innerHTML = '';
+    const custom = document.createElement('optgroup');
+    custom.label = 'My papers';
+
+    Object.entries(this.papers).forEach(([id, paper]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = paper.name;
+      (paper.custom ? custom : select).appendChild(option);
+    });
+    if (custom.children.length) select.appendChild(custom);
+
+    select.value = this.paperType;
+  },
+
+  // Add the custom paper profiles saved in IndexedDB to this.papers
+  loadCustomPapers: async function() {
+    try {
+      const stored = await idbGet(CUSTOM_PAPERS_KEY) || {};
+      Object.entries(stored).forEach(([id, data]) => {
+        try {
+          this.papers[id] = { ...normalizePaperProfile(data), custom: true };
+        } catch (error) {
+          console.warn(`Skipping invalid paper profile ${id}:`, error);
+        }
+      });
+    } catch (error) {
+      console.warn('Could not load custom paper profiles:', error);
+    }
+    this.populatePaperSelect();
+  },
+
+  saveCustomPapers: async function() {
+    const custom = {};
+    Object.entries(this.papers).forEach(([id, paper]) => {
+      if (paper.custom) custom[id] = normalizePaperProfile(paper);
+    });
+    await idbSet(CUSTOM_PAPERS_KEY, custom);
+  },
+
+  // Switch to another paper (with undo)
+  selectPaper: function(paperType) {
+    if (!this.papers[paperType]) return;
+    this.saveState();
+    this.paperType = paperType;
+    this.populatePaperSelect();
+    if (this.negativeImage) {
+      this.markDirty();
+      this.requestProcess();
+    }
+  },
+
+  // Open the editor on a copy of the current paper
+  openPaperEditor: function() {
+    const dialog = document.getElementById('paper-editor');
+    const paper = this.papers[this.paperType];
+    if (!dialog || !paper) return;
+
+    this._paperEditorId = this.paperType;
+    this.fillPaperEditor(normalizePaperProfile(paper));
+    document.getElementById('paper-delete').disabled = !paper.custom;
+    dialog.showModal();
+  },
+
+  fillPaperEditor: function(paper) {
+    document.getElementById('paper-name').value = paper.name;
+    document.getElementById('paper-description').value = paper.description;
+    document.getElementById('paper-dmin').value = paper.Dmin;
+    document.getElementById('paper-dmax').value = paper.Dmax;
+    document.getElementById('paper-base-exposure').value = paper.baseExposure;
+    document.getElementById('paper-threshold').value = paper.threshold;
+    const reciprocity = paper.reciprocity || { onset: 60, exponent: 1, intermittency: 0 };
+    document.getElementById('paper-reciprocity-onset').value = reciprocity.onset;
+    document.getElementById('paper-reciprocity-exponent').value = reciprocity.exponent;
+    document.getElementById('paper-intermittency').value = reciprocity.intermittency;
+    ['highlights', 'midtones', 'shadows'].forEach(range => {
+      document.getElementById(`paper-tone-${range}`).value = toneToHex(paper.colorTone[range]);
+    });
+
+    // One row per grade
+    const rows = document.getElementById('paper-grade-rows');
+    rows.innerHTML = '';
+    paper.gradeParams.forEach((g, i) => {
+      const row = document.createElement('tr');
+      row.innerHTML = `<td>${GRADE_LABELS[i]}</td>` +
+        `<td><input type="number" class="paper-grade-k" step="0.1" min="0.1" max="50" value="${g.k}"></td>` +
+        `<td><input type="number" class="paper-grade-shift" step="0.1" min="-5" max="5" value="${g.speedShiftStops}"></td>`;
+      rows.appendChild(row);
+    });
+
+    this.updatePaperEditorPreview();
+  },
+
+  // Read the editor's fields into a paper profile (throws if a value is out of range)
+  readPaperEditor: function() {
+    const value = id => document.getElementById(id).value;
+    return normalizePaperProfile({
+      name: value('paper-name').trim(),
+      description: value('paper-description').trim(),
+      Dmin: value('paper-dmin'),
+      Dmax: value('paper-dmax'),
+      baseExposure: value('paper-base-exposure'),
+      threshold: value('paper-threshold'),
+      reciprocity: {
+        onset: value('paper-reciprocity-onset'),
+        exponent: value('paper-reciprocity-exponent'),
+        intermittency: value('paper-intermittency')
+      },
+      gradeParams: Array.from(document.querySelectorAll('#paper-grade-rows tr'), row => ({
+        k: row.querySelector('.paper-grade-k').value,
+        speedShiftStops: row.querySelector('.paper-grade-shift').value
+      })),
+      colorTone: {
+        highlights: hexToTone(value('paper-tone-highlights')),
+        midtones: hexToTone(value('paper-tone-midtones')),
+        shadows: hexToTone(value('paper-tone-shadows'))
+      }
+    });
+  },
+
+  // Redraw the editor's curve preview (all grades) from the fields as they are now
+  updatePaperEditorPreview: function() {
+    const canvas = document.getElementById('paper-curve');
+    const errorEl = document.getElementById('paper-editor-error');
+    try {
+      const paper = this.readPaperEditor();
+      drawPaperCurves(canvas, paper, paper.gradeParams.map((_, i) => i));
+      errorEl.textContent = '';
+    } catch (error) {
+      errorEl.textContent = error.message;
+    }
+  },
+
+  // Store the edited profile as a custom paper (built-in papers are saved as a copy) and use it
+  savePaperFromEditor: async function() {
+    let paper;
+    try {
+      paper = this.readPaperEditor();
+    } catch (error) {
+      alert('Cannot save paper profile: ' + error.message);
+      return;
+    }
+
+    const editing = this.papers[this._paperEditorId];
+    const id = editing && editing.custom ? this._paperEditorId : 'custom-' + Date.now().toString(36);
+    if (!(editing && editing.custom) && editing && paper.name === editing.name) {
+      paper.name += ' (custom)';
+    }
+
+    // Keep the dialog open (and the old profile) if it can't be stored
+    const previous = this.papers[id];
+    this.papers[id] = { ...paper, custom: true };
+    try {
+      await this.saveCustomPapers();
+    } catch (error) {
+      if (previous) this.papers[id] = previous;
+      else delete this.papers[id];
+      console.error('Error saving paper profiles:', error);
+      alert('Error saving paper profile: ' + error.message);
+      return;
+    }
+
+    document.getElementById('paper-editor').close();
+    this.selectPaper(id);
+  },
+
+  deleteCustomPaper: async function() {
+    const id = this._paperEditorId;
+    const paper = this.papers[id];
+    if (!paper || !paper.custom) return;
+    if (!confirm(`Delete the paper profile "${paper.name}"?`)) return;
+
+    delete this.papers[id];
+    try {
+      await this.saveCustomPapers();
+    } catch (error) {
+      console.error('Error saving paper profiles:', error);
+    }
+
+    document.getElementById('paper-editor').close();
+    if (this.paperType === id) this.selectPaper(Object.keys(this.papers)[0]);
+    else this.populatePaperSelect();
+  },
+
+  // Download the profile being edited as JSON
+  exportPaperProfile: function() {
+    let paper;
+    try {
+      paper = this.readPaperEditor();
+    } catch (error) {
+      alert('Cannot export paper profile: ' + error.message);
+      return;
+    }
+
+    const json = JSON.stringify({ format: 'digital-darkroom-paper', version: 1, paper }, null, 2);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = paper.name.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-').toLowerCase() + '.paper.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  },
+
+  // Load a shared JSON profile into the editor (saved only when the user presses Save)
+  importPaperProfile: async function(file) {
+    try {
+      const data = JSON.parse(await file.text());
+      const paper = normalizePaperProfile(data.paper || data);
+      this._paperEditorId = null; // Always saved as a new custom paper
+      document.getElementById('paper-delete').disabled = true;
+      this.fillPaperEditor(paper);
+    } catch (error) {
+      console.error('Error importing paper profile:', error);
+      alert('Error importing paper profile: ' + error.message);
+    }
+  },
+
+  // Open the step wedge calibration dialog; the fit starts from the current paper
+  openCalibration: function() {
+    const dialog = document.getElementById('calibration-dialog');
+    if (!dialog) return;
+
+    const gradeSelect = document.getElementById('calibration-grade');
+    if (!gradeSelect.options.length) {
+      GRADE_LABELS.forEach((label, i) => gradeSelect.add(new Option(label, i)));
+      gradeSelect.value = 5;
+    }
+
+    const base = this.papers[this.paperType];
+    document.getElementById('calibration-name').value = base ? base.name + ' (calibrated)' : 'Calibrated paper';
+    this._calibration = null;
+    document.getElementById('calibration-create').disabled = true;
+    document.getElementById('calibration-result').textContent = '';
+    dialog.showModal();
+  },
+
+  // Read the wedge scan, measure its steps and fit the curve
+  analyseStepWedge: async function() {
+    const file = document.getElementById('calibration-scan').files[0];
+    const resultEl = document.getElementById('calibration-result');
+    const paper = this.papers[this.paperType];
+    if (!file || !paper) {
+      resultEl.textContent = 'Choose a scan of the printed step wedge first.';
+      return;
+    }
+
+    try {
+      const steps = parseInt(document.getElementById('calibration-steps').value, 10);
+      const firstDensity = parseFloat(document.getElementById('calibration-first-density').value);
+      const increment = parseFloat(document.getElementById('calibration-increment').value);
+      const time = parseFloat(document.getElementById('calibration-time').value);
+      const grade = parseInt(document.getElementById('calibration-grade').value, 10);
+      const linear = document.getElementById('calibration-encoding').value === 'linear';
+      if (!(steps >= 5) || !(time > 0) || isNaN(firstDensity) || !(increment > 0)) {
+        throw new Error('Check the number of steps, wedge densities and exposure time');
+      }
+
+      // 16-bit scans come through our decoder, anything else through the browser
+      let raster = await decodeScan(file);
+      if (!raster) {
+        const img = await createImageBitmap(file);
+        const canvas = document.createElement('canvas');
+        canvas.width = img.width;
+        canvas.height = img.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+        const { data } = ctx.getImageData(0, 0, img.width, img.height);
+        raster = { width: img.width, height: img.height, channels: 4, data: Float32Array.from(data, v => v / 255) };
+      }
+
+      // Print density from reflectance; exposure through each wedge step (with paper inertia)
+      const values = sampleStepWedge(raster, steps);
+      const D = values.map(v => -log10(Math.max(1e-4, linear ? v : srgbToLinear(v))));
+      const logE = values.map((_, i) => log10(Math.max(1e-6,
+        effectiveExposure(time * Math.pow(10, -(firstDensity + i * increment)), paper.threshold))));
+
+      const fit = fitCharacteristicCurve(logE, D);
+      if (!(fit.Dmax > fit.Dmin) || !isFinite(fit.E0)) throw new Error('The measured steps do not form a usable curve');
+
+      // New profile: the current paper with this grade's curve and the paper's Dmin/Dmax replaced
+      const calibrated = normalizePaperProfile(paper);
+      calibrated.Dmin = Math.max(0, fit.Dmin);
+      calibrated.Dmax = fit.Dmax;
+      calibrated.gradeParams[grade] = {
+        k: fit.k,
+        speedShiftStops: Math.log2(Math.pow(10, fit.E0) / calibrated.baseExposure)
+      };
+      calibrated.description = `Fitted from a ${steps}-step wedge at ${time}s, grade ${GRADE_LABELS[grade]}`;
+      this._calibration = normalizePaperProfile(calibrated);
+
+      // Plot the fitted curve with the measured steps on top
+      const canvas = document.getElementById('calibration-curve');
+      const map = drawPaperCurves(canvas, this._calibration, [grade], {
+        loE: Math.min(...logE) - 0.2,
+        hiE: Math.max(...logE) + 0.2
+      });
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      logE.forEach((x, i) => {
+        ctx.beginPath();
+        ctx.arc(map.x(x), map.y(D[i]), 2.5, 0, Math.PI * 2);
+        ctx.fill();
+      });
+
+      resultEl.textContent = `Dmin ${fit.Dmin.toFixed(2)}, Dmax ${fit.Dmax.toFixed(2)}, k ${fit.k.toFixed(2)}, ` +
+        `speed shift ${this._calibration.gradeParams[grade].speedShiftStops.toFixed(2)} stops (RMS error ${fit.rms.toFixed(3)} D)`;
+      document.getElementById('calibration-create').disabled = false;
+    } catch (error) {
+      console.error('Error analysing step wedge:', error);
+      resultEl.textContent = 'Could not fit the step wedge: ' + error.message;
+      this._calibration = null;
+      document.getElementById('calibration-create').disabled = true;
+    }
+  },
+
+  // Add the fitted profile to the papers and use it
+  createCalibratedPaper: async function() {
+    if (!this._calibration) return;
+
+    const id = 'custom-' + Date.now().toString(36);
+    const name = document.getElementById('calibration-name').value.trim() || 'Calibrated paper';
+    this.papers[id] = { ...this._calibration, name: name.slice(0, 60), custom: true };
+    try {
+      await this.saveCustomPapers();
+    } catch (error) {
+      // Keep the dialog open so the fit isn't lost
+      delete this.papers[id];
+      console.error('Error saving paper profiles:', error);
+      alert('Error saving paper profile: ' + error.message);
+      return;
+    }
+
+    document.getElementById('calibration-dialog').close();
+    this.selectPaper(id);
+  },
+
+  // D-logE viewer: the paper's curve for every grade in the stack, with the span of exposure
+  // each exposure puts on the paper (from the negative's densest to its thinnest part)
+  updateCurveViewer: function() {
+    const container = document.getElementById('curve-container');
+    const canvas = document.getElementById('curve-canvas');
+    const paper = this.papers[this.paperType];
+    if (!container || !canvas || !paper || this.exposures.length === 0) return;
+
+    container.classList.remove('hidden');
+
+    // Keep the drawing buffer at the displayed size so lines stay crisp
+    const width = Math.round(canvas.clientWidth) || canvas.width;
+    if (canvas.width !== width) canvas.width = width;
+
+    const exposures = this.printExposures();
+    const grades = [...new Set(exposures.map(exp => parseFloat(exp.grade)))].sort((a, b) => a - b);
+
+    // logE range each exposure covers; flashes see no negative, so they are a single point
+    const exposureOf = (exp, trans) => log10(Math.max(1e-6,
+      effectiveExposure(reciprocityTime(paper, parseFloat(exp.time)) * profileTransmittance(trans, this.negativeProfile), paper.threshold)));
+    const range = this.transRange || { min: 0, max: 1 };
+    const spans = exposures.map(exp => {
+      const lo = exp.type === 'flash' ? exposureOf(exp, 1) : exposureOf(exp, Math.max(1e-3, range.min));
+      const hi = exposureOf(exp, exp.type === 'flash' ? 1 : range.max);
+      return { exp, lo, hi };
+    });
+
+    // Fit every curve midpoint and exposure span on the graph
+    const midtones = grades.map(g => midtoneLogEForGrade(paper, g));
+    const loE = Math.min(...midtones, ...spans.map(s => s.lo)) - 0.3;
+    const hiE = Math.max(...midtones, ...spans.map(s => s.hi)) + 0.3;
+    const map = drawPaperCurves(canvas, paper, grades, { loE, hiE });
+
+    // Mark each exposure's span on its own grade's curve, numbered as in the list
+    const ctx = canvas.getContext('2d');
+    ctx.font = '10px sans-serif';
+    spans.forEach(({ exp, lo, hi }, i) => {
+      const p = gradeParamsAt(paper, exp.grade);
+      const E0 = midtoneLogEForGrade(paper, exp.grade);
+      const selected = exp.id === this.selectedExposureId;
+      const yLo = map.y(densityFromLogE(lo, paper.Dmin, paper.Dmax, p.k, E0));
+      const yHi = map.y(densityFromLogE(hi, paper.Dmin, paper.Dmax, p.k, E0));
+
+      ctx.strokeStyle = ctx.fillStyle = selected ? '#ffffff' : 'rgba(255, 170, 160, 0.9)';
+      ctx.lineWidth = selected ? 2 : 1;
+      ctx.beginPath();
+      ctx.moveTo(map.x(lo), yLo);
+      ctx.lineTo(map.x(hi), yHi);
+      ctx.stroke();
+      [[lo, yLo], [hi, yHi]].forEach(([x, y]) => {
+        ctx.beginPath();
+        ctx.arc(map.x(x), y, selected ? 3.5 : 2.5, 0, Math.PI * 2);
+        ctx.fill();
+      });
+      ctx.fillText(String(i + 1), map.x(hi) + 4, yHi + 3);
+    });
+  },
+
+  // Describe the print (paper, exposures, grades, toning) for the exported file's metadata
+  printMetadata: function() {
+    const paper = this.papers[this.paperType];
+    return {
+      software: 'Digital Darkroom',
+      source: currentFileHandle ? currentFileHandle.name : null,
+      paper: { id: this.paperType, name: paper ? paper.name : this.paperType },
+      enlarger: this.enlarger ? ENLARGER_PROFILES[this.enlarger].name : null,
+      accumulation: this.accumulation,
+      illumination: this.illumination.enabled ? {
+        aperture: this.illumination.aperture,
+        falloff: cornerFalloff(this.illumination),
+        pattern: this.illumination.pattern,
+        patternStrength: this.illumination.patternStrength,
+        softness: this.illumination.softness
+      } : null,
+      exposures: this.exposures.map(exp => ({
+        type: exp.type,
+        time: parseFloat(exp.time),
+        grade: formatGrade(exp.grade).replace('½', '.5'), // ASCII: 2.5 rather than 2½
+        filtration: this.enlarger && exp.filtration ? { ...exp.filtration } : null,
+        mask: exp.maskData ? exp.maskMode : null,
+        split: exp.splitRole || null
+      })),
+      toning: Object.fromEntries(TONERS.map(({ id }) => [id, {
+        strength: this.toning[id].strength,
+        time: this.toning[id].time
+      }])),
+      crop: { ...this.crop }
+    };
+  },
+
+  // Render the current exposure stack at full resolution and write it to the scan folder's prints subfolder
+  exportPrint: async function(format = 'png') {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec || !this.negativeImage || !this.gpu) return;
+
+    if (!currentFileHandle || !directoryHandle) {
+      alert('Cannot export: open the image from the contact sheet so the print can be saved in its folder.');
+      return;
+    }
+
+    const paper = this.papers[this.paperType];
+    if (!paper) return;
+
+    const exportButton = document.getElementById('export-print');
+    if (exportButton) exportButton.disabled = true;
+
+    try {
+      // TIFF ImageDescription and JPEG comments are ASCII, so escape anything else (still valid JSON)
+      const metadata = JSON.stringify(this.printMetadata())
+        .replace(/[\u0080-\uffff]/g, c => '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0'));
+      let bytes;
+
+      if (format === 'tiff16') {
+        const { width, height, rgb } = this.gpu.readPrint(paper, this.printExposures(), this.sigmoidLUT, this.toning, 16);
+        bytes = encodeTiff16(width, height, rgb, metadata);
+      } else {
+        const imageData = this.gpu.readPrint(paper, this.printExposures(), this.sigmoidLUT, this.toning, 8);
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, spec.mime, 0.95));
+        if (!blob) throw new Error('The browser could not encode the image');
+        const encoded = new Uint8Array(await blob.arrayBuffer());
+        bytes = format === 'png'
+          ? pngWithText(encoded, 'Description', metadata)
+          : jpegWithComment(encoded, metadata);
+      }
+
+      // Same base name as the source image, e.g. frame12.jpg -> prints/frame12-print.tif.
+      // Prints go in a subfolder so the contact sheet doesn't take them for new scans.
+      const baseName = currentFileHandle.name.substring(0, currentFileHandle.name.lastIndexOf('.'));
+      const fileName = baseName + '-print' + spec.ext;
+      const printsHandle = await directoryHandle.getDirectoryHandle(EXPORT_FOLDER, { create: true });
+
+      let exists = true;
+      try {
+        await printsHandle.getFileHandle(fileName);
+      } catch (error) {
+        if (error.name !== 'NotFoundError') throw error;
+        exists = false;
+      }
+      if (exists && !confirm(`${EXPORT_FOLDER}/${fileName} already exists. Overwrite it?`)) return;
+
+      const fileHandle = await printsHandle.getFileHandle(fileName, { create: true });
+      const writable = await fileHandle.createWritable();
+      await writable.write(bytes);
+      await writable.close();
+
+      console.log(`Exported print to ${EXPORT_FOLDER}/${fileName}`);
+      alert(`Print exported as ${EXPORT_FOLDER}/${fileName}`);
+    } catch (error) {
+      console.error('Error exporting print:', error);
+      alert('Error exporting print: ' + error.message);
+    } finally {
+      if (exportButton) exportButton.disabled = false;
+    }
+  },
+
   // Save the project data in binary format
   saveProjectData: async function() {
     if (!currentFileHandle) {
@@ -2633,9 +5823,9 @@ const DarkroomSimulator = {
     }
 
     try {
-      // Create a binary file with the same name as the image but with .ddr extension
+      // Create a binary file named after the image plus a .ddr extension, e.g. frame.tif.ddr
       // (Digital Darkroom Raw format)
-      const binaryFileName = currentFileHandle.name.substring(0, currentFileHandle.name.lastIndexOf('.')) + '.ddr';
+      const [binaryFileName] = sidecarNames(currentFileHandle.name, '.ddr');
 
       // Get or create the binary file handle
       const binaryFileHandle = await directoryHandle.getFileHandle(binaryFileName, { create: true });
@@ -2651,15 +5841,56 @@ const DarkroomSimulator = {
       const paperTypeBytes = paperTypeEncoder.encode(this.paperType);
       totalSize += 4 + paperTypeBytes.length;
 
+      // Crop: aspect (string length + string data) + angle (8 bytes) + quarter turns (1 byte)
+      // + centre x, y and size (8 bytes each)
+      const aspectBytes = new TextEncoder().encode(this.crop.aspect);
+      totalSize += 4 + aspectBytes.length + 8 + 1 + 8 + 8 + 8;
+
+      // Input type (1 byte)
+      totalSize += 1;
+
+      // Negative profile: enabled flag (1 byte) + base+fog and density range (8 bytes each)
+      totalSize += 1 + 8 + 8;
+
+      // Timing: mode (1 byte) + base time (8 bytes) + step denominator (1 byte)
+      totalSize += 1 + 8 + 1;
+
+      // Enlarger (string length + string data)
+      const enlargerBytes = new TextEncoder().encode(this.enlarger || '');
+      totalSize += 4 + enlargerBytes.length;
+
+      // Accumulation mode (1 byte)
+      totalSize += 1;
+
+      // Illumination: enabled flag (1 byte) + aperture (8 bytes) + falloff count (1 byte) + falloff
+      // (8 bytes each) + pattern (1 byte) + pattern strength and softness (8 bytes each)
+      totalSize += 1 + 8 + 1 + this.illumination.falloff.length * 8 + 1 + 8 + 8;
+
+      // Toning: strength + time per bath (8 bytes each) + bleach local flag (1 byte)
+      // + has bleach mask flag (1 byte) [+ width (4 bytes) + height (4 bytes) + mask data]
+      const bleachMask = this.toning.bleach.maskData;
+      totalSize += TONERS.length * 16 + 1 + 1;
+      if (bleachMask) {
+        totalSize += 4 + 4 + bleachMask.data.length;
+      }
+
       // Number of exposures (4 bytes)
       totalSize += 4;
 
-      // For each exposure: id length + id + time (8 bytes) + grade (4 bytes) + has mask flag (1 byte)
+      // For each exposure: id length + id + time (8 bytes) + grade (8 bytes) + type (1 byte)
+      // + mask mode (1 byte) + split role (1 byte) [+ pair id length + pair id]
+      // + has filtration flag (1 byte) [+ yellow and magenta (8 bytes each)] + has mask flag (1 byte)
       // If has mask: width (4 bytes) + height (4 bytes) + mask data
       for (const exp of this.exposures) {
         const idEncoder = new TextEncoder();
         const idBytes = idEncoder.encode(exp.id);
-        totalSize += 4 + idBytes.length + 8 + 4 + 1;
+        totalSize += 4 + idBytes.length + 8 + 8 + 1 + 1 + 1 + 1 + 1;
+        if (exp.splitPair) {
+          totalSize += 4 + new TextEncoder().encode(exp.splitPair).length;
+        }
+        if (exp.filtration) {
+          totalSize += 16;
+        }
 
         if (exp.maskData) {
           totalSize += 4 + 4 + exp.maskData.data.length;
@@ -2677,8 +5908,8 @@ const DarkroomSimulator = {
       view.setUint8(offset++, 82); // 'R'
       view.setUint8(offset++, 77); // 'M'
 
-      // Write version (1)
-      view.setUint32(offset, 1, true);
+      // Write version (13)
+      view.setUint32(offset, 13, true);
       offset += 4;
 
       // Write paper type
@@ -2688,6 +5919,80 @@ const DarkroomSimulator = {
         view.setUint8(offset++, paperTypeBytes[i]);
       }
 
+      // Write crop
+      view.setUint32(offset, aspectBytes.length, true);
+      offset += 4;
+      for (let i = 0; i < aspectBytes.length; i++) {
+        view.setUint8(offset++, aspectBytes[i]);
+      }
+      view.setFloat64(offset, this.crop.angle, true);
+      offset += 8;
+      view.setUint8(offset++, this.crop.quarterTurns);
+      view.setFloat64(offset, this.crop.cx, true);
+      offset += 8;
+      view.setFloat64(offset, this.crop.cy, true);
+      offset += 8;
+      view.setFloat64(offset, this.crop.size, true);
+      offset += 8;
+
+      // Write input type
+      view.setUint8(offset++, Math.max(0, INPUT_TYPES.indexOf(this.inputType)));
+
+      // Write negative profile
+      view.setUint8(offset++, this.negativeProfile.enabled ? 1 : 0);
+      view.setFloat64(offset, this.negativeProfile.baseFog, true);
+      offset += 8;
+      view.setFloat64(offset, this.negativeProfile.densityRange, true);
+      offset += 8;
+
+      // Write timing
+      view.setUint8(offset++, this.timing.mode === 'fstop' ? 1 : 0);
+      view.setFloat64(offset, this.timing.baseTime, true);
+      offset += 8;
+      view.setUint8(offset++, this.timing.stepDenominator);
+
+      // Write enlarger
+      view.setUint32(offset, enlargerBytes.length, true);
+      offset += 4;
+      new Uint8Array(buffer, offset, enlargerBytes.length).set(enlargerBytes);
+      offset += enlargerBytes.length;
+
+      // Write accumulation mode
+      view.setUint8(offset++, Math.max(0, ACCUMULATION_MODES.indexOf(this.accumulation)));
+
+      // Write illumination
+      view.setUint8(offset++, this.illumination.enabled ? 1 : 0);
+      view.setFloat64(offset, this.illumination.aperture, true);
+      offset += 8;
+      view.setUint8(offset++, this.illumination.falloff.length);
+      this.illumination.falloff.forEach(stops => {
+        view.setFloat64(offset, stops, true);
+        offset += 8;
+      });
+      view.setUint8(offset++, Math.max(0, LIGHT_PATTERNS.indexOf(this.illumination.pattern)));
+      view.setFloat64(offset, this.illumination.patternStrength, true);
+      offset += 8;
+      view.setFloat64(offset, this.illumination.softness, true);
+      offset += 8;
+
+      // Write toning
+      for (const t of TONERS) {
+        view.setFloat64(offset, this.toning[t.id].strength, true);
+        offset += 8;
+        view.setFloat64(offset, this.toning[t.id].time, true);
+        offset += 8;
+      }
+      view.setUint8(offset++, this.toning.bleach.local ? 1 : 0);
+      view.setUint8(offset++, bleachMask ? 1 : 0);
+      if (bleachMask) {
+        view.setUint32(offset, bleachMask.width, true);
+        offset += 4;
+        view.setUint32(offset, bleachMask.height, true);
+        offset += 4;
+        new Uint8Array(buffer, offset, bleachMask.data.length).set(new Uint8Array(bleachMask.data));
+        offset += bleachMask.data.length;
+      }
+
       // Write number of exposures
       view.setUint32(offset, this.exposures.length, true);
       offset += 4;
@@ -2706,9 +6011,33 @@ const DarkroomSimulator = {
         view.setFloat64(offset, parseFloat(exp.time), true);
         offset += 8;
 
-        // Write grade (as int32)
-        view.setInt32(offset, parseInt(exp.grade, 10), true);
-        offset += 4;
+        // Write grade (as float64)
+        view.setFloat64(offset, parseFloat(exp.grade), true);
+        offset += 8;
+
+        // Write exposure type (0 = print, 1 = flash)
+        view.setUint8(offset++, exp.type === 'flash' ? 1 : 0);
+
+        // Write mask mode (0 = dodge, 1 = burn)
+        view.setUint8(offset++, exp.maskMode === 'burn' ? 1 : 0);
+
+        // Write split-grade role and pair id
+        view.setUint8(offset++, exp.splitPair ? Math.max(0, SPLIT_ROLES.indexOf(exp.splitRole)) : 0);
+        if (exp.splitPair) {
+          const pairBytes = new TextEncoder().encode(exp.splitPair);
+          view.setUint32(offset, pairBytes.length, true);
+          offset += 4;
+          new Uint8Array(buffer, offset, pairBytes.length).set(pairBytes);
+          offset += pairBytes.length;
+        }
+
+        // Write filtration
+        view.setUint8(offset++, exp.filtration ? 1 : 0);
+        if (exp.filtration) {
+          view.setFloat64(offset, exp.filtration.y, true);
+          view.setFloat64(offset + 8, exp.filtration.m, true);
+          offset += 16;
+        }
 
         // Write has mask flag
         view.setUint8(offset++, exp.maskData ? 1 : 0);